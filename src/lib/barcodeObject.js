@@ -0,0 +1,181 @@
+// barcodeObject.js - Fabric object that regenerates its barcode from settings
+
+import * as fabric from "fabric";
+import {
+  BARCODE_TYPES,
+  encodeBarcode,
+  loadBarcodeEncoder,
+  rasterizeBarcode,
+} from "./barcodes.js";
+
+const BARCODE_DEFAULTS = {
+  barcodeType: "code128",
+  barcodeData: "12345678",
+  moduleSize: 2,
+  barHeight: 60,
+  quietZone: null, // null uses the symbology's recommended margin
+  showText: true,
+  errorCorrection: "M",
+};
+
+const BARCODE_PROPERTIES = Object.keys(BARCODE_DEFAULTS);
+const TEXT_HEIGHT = 22;
+
+// Draw the barcode at one canvas pixel per printer dot
+function renderBarcodeElement(settings) {
+  const spec = BARCODE_TYPES[settings.barcodeType];
+  const encoded = encodeBarcode(settings.barcodeType, settings.barcodeData, {
+    errorCorrection: settings.errorCorrection,
+  });
+  const raster = rasterizeBarcode(encoded, {
+    moduleSize: settings.moduleSize,
+    barHeight: settings.barHeight,
+    quietZone: settings.quietZone ?? spec?.quietZone ?? 0,
+    textHeight: settings.showText ? TEXT_HEIGHT : 0,
+  });
+
+  const element = document.createElement("canvas");
+  element.width = raster.width;
+  element.height = raster.height;
+  const ctx = element.getContext("2d");
+  const image = ctx.createImageData(raster.width, raster.height);
+  for (let i = 0; i < raster.bits.length; i++) {
+    const value = raster.bits[i] ? 0 : 255;
+    image.data.set([value, value, value, 255], i * 4);
+  }
+  ctx.putImageData(image, 0, 0);
+
+  if (raster.textArea) {
+    const { x, y, width, height } = raster.textArea;
+    ctx.fillStyle = "black";
+    ctx.font = `${height - 4}px monospace`;
+    ctx.textAlign = "center";
+    ctx.textBaseline = "top";
+    ctx.fillText(encoded.text, x + width / 2, y + 2, width);
+  }
+
+  return element;
+}
+
+// Stand-in drawn while the data can't be encoded, e.g. an EAN-13 holding a
+// {{placeholder}} that mail merge fills in later
+function renderPlaceholderElement(settings) {
+  const element = document.createElement("canvas");
+  element.width = 160;
+  element.height = Math.max(40, Math.round(settings.barHeight));
+  const ctx = element.getContext("2d");
+  ctx.fillStyle = "#e5e7eb";
+  ctx.fillRect(0, 0, element.width, element.height);
+  ctx.fillStyle = "black";
+  ctx.font = "14px monospace";
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  ctx.fillText(
+    String(settings.barcodeData),
+    element.width / 2,
+    element.height / 2,
+    element.width - 8,
+  );
+  return element;
+}
+
+function renderElement(settings) {
+  try {
+    return { element: renderBarcodeElement(settings), error: null };
+  } catch (error) {
+    return {
+      element: renderPlaceholderElement(settings),
+      error: error.message,
+    };
+  }
+}
+
+// A barcode is an image whose pixels are derived from its settings. Scaling
+// is locked: size comes from whole-dot module widths so bars stay crisp, and
+// only the settings are needed to rebuild it when a design is loaded.
+class Barcode extends fabric.FabricImage {
+  static type = "Barcode";
+
+  constructor(options = {}) {
+    // Serialized designs carry type, and src/filters from the image base class
+    const { type, src, filters, ...objectOptions } = options;
+    const settings = { ...BARCODE_DEFAULTS };
+    for (const key of BARCODE_PROPERTIES) {
+      if (options[key] !== undefined) settings[key] = options[key];
+    }
+
+    const { element, error } = renderElement(settings);
+    super(element, {
+      ...objectOptions,
+      scaleX: 1,
+      scaleY: 1,
+      imageSmoothing: false,
+      lockScalingX: true,
+      lockScalingY: true,
+      lockSkewingX: true,
+      lockSkewingY: true,
+      snapAngle: 90,
+      snapThreshold: 45,
+    });
+    Object.assign(this, settings);
+    // Why the data couldn't be encoded, or null when the barcode is valid
+    this.encodeError = error;
+    this.setControlsVisibility({
+      tl: false,
+      tr: false,
+      bl: false,
+      br: false,
+      ml: false,
+      mt: false,
+      mr: false,
+      mb: false,
+    });
+  }
+
+  // Apply new settings and redraw. Check encodeError afterwards to find out
+  // whether the data could be encoded.
+  setBarcode(changes) {
+    const settings = {};
+    for (const key of BARCODE_PROPERTIES) {
+      settings[key] = key in changes ? changes[key] : this[key];
+    }
+
+    const { element, error } = renderElement(settings);
+    Object.assign(this, settings);
+    this.encodeError = error;
+    this.setElement(element);
+    this.setCoords();
+    return this;
+  }
+
+  toObject(propertiesToInclude = []) {
+    const object = super.toObject(propertiesToInclude);
+    // The pixels are rebuilt from the settings on load
+    delete object.src;
+    delete object.filters;
+    for (const key of BARCODE_PROPERTIES) {
+      object[key] = this[key];
+    }
+    return object;
+  }
+
+  static async fromObject(object) {
+    await loadBarcodeEncoder();
+    return new Barcode(object);
+  }
+}
+
+fabric.classRegistry.setClass(Barcode);
+
+// Nudge an object so its bounding box starts on a whole dot, whatever its
+// origin or quarter-turn rotation
+function snapToDots(object) {
+  const { left, top } = object.getBoundingRect();
+  object.set({
+    left: object.left + Math.round(left) - left,
+    top: object.top + Math.round(top) - top,
+  });
+  object.setCoords();
+}
+
+export { Barcode, BARCODE_DEFAULTS, loadBarcodeEncoder, snapToDots };
@@ -0,0 +1,197 @@
+// barcodes.js - Barcode encoding and dot-aligned rasterization
+
+// Supported symbologies. quietZone is the default margin in modules.
+const BARCODE_TYPES = {
+  code128: { name: "Code 128", bcid: "code128", kind: "linear", quietZone: 10 },
+  ean13: {
+    name: "EAN-13",
+    bcid: "ean13",
+    kind: "linear",
+    quietZone: 11,
+    digits: 12,
+  },
+  upca: {
+    name: "UPC-A",
+    bcid: "upca",
+    kind: "linear",
+    quietZone: 9,
+    digits: 11,
+  },
+  code39: { name: "Code 39", bcid: "code39", kind: "linear", quietZone: 10 },
+  qrcode: {
+    name: "QR Code",
+    bcid: "qrcode",
+    kind: "matrix",
+    quietZone: 4,
+    errorCorrection: ["L", "M", "Q", "H"],
+  },
+  datamatrix: {
+    name: "Data Matrix",
+    bcid: "datamatrix",
+    kind: "matrix",
+    quietZone: 1,
+  },
+};
+
+// GS1 mod-10 check digit for EAN and UPC payloads
+function gs1CheckDigit(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    const weight = (digits.length - i) % 2 === 1 ? 3 : 1;
+    sum += Number(digits[i]) * weight;
+  }
+  return String((10 - (sum % 10)) % 10);
+}
+
+// Normalise the data for the symbology, adding or checking the check digit
+// of EAN/UPC numbers
+function prepareData(type, data) {
+  const spec = BARCODE_TYPES[type];
+  const text = String(data ?? "");
+
+  if (text === "") {
+    throw new Error("Barcode data is empty");
+  }
+  if (!spec.digits) {
+    return text;
+  }
+
+  if (!/^\d+$/.test(text)) {
+    throw new Error(`${spec.name} data must be digits only`);
+  }
+  if (text.length === spec.digits) {
+    return text + gs1CheckDigit(text);
+  }
+  if (text.length === spec.digits + 1) {
+    const expected = gs1CheckDigit(text.slice(0, -1));
+    if (text.at(-1) !== expected) {
+      throw new Error(
+        `${spec.name} check digit should be ${expected}, not ${text.at(-1)}`,
+      );
+    }
+    return text;
+  }
+  throw new Error(
+    `${spec.name} needs ${spec.digits} or ${spec.digits + 1} digits`,
+  );
+}
+
+// bwip-js carries every BWIPP encoder and is most of the editor's size, so
+// it's fetched the first time a barcode is added or loaded rather than with
+// the page
+let bwipjs = null;
+
+async function loadBarcodeEncoder() {
+  bwipjs ??= (await import("bwip-js")).default;
+  return bwipjs;
+}
+
+// Encode to a module grid: { kind, columns, rows, modules, text } where
+// modules holds one 0/1 entry per module. Linear codes have a single row.
+function encodeBarcode(type, data, options = {}) {
+  const spec = BARCODE_TYPES[type];
+  if (!spec) {
+    throw new Error(`Unknown barcode type: ${type}`);
+  }
+
+  if (!bwipjs) {
+    throw new Error("Barcode encoder isn't loaded yet");
+  }
+
+  const text = prepareData(type, data);
+  const bwipOptions = {};
+  if (spec.errorCorrection) {
+    const level = options.errorCorrection || "M";
+    if (!spec.errorCorrection.includes(level)) {
+      throw new Error(`Unknown error correction level: ${level}`);
+    }
+    bwipOptions.eclevel = level;
+  }
+
+  let symbol;
+  try {
+    [symbol] = bwipjs.raw(spec.bcid, text, bwipOptions);
+  } catch (error) {
+    // bwip-js errors read like "bwipp.code39badCharacter: ..."
+    const message = String(error.message || error).replace(/^[\w.]+: /, "");
+    throw new Error(`Cannot encode as ${spec.name}: ${message}`);
+  }
+
+  if (spec.kind === "matrix") {
+    return {
+      kind: "matrix",
+      columns: symbol.pixx,
+      rows: symbol.pixy,
+      modules: Uint8Array.from(symbol.pixs),
+      text,
+    };
+  }
+
+  // sbs alternates bar and space widths, starting with a bar
+  const modules = [];
+  symbol.sbs.forEach((width, i) => {
+    for (let j = 0; j < width; j++) modules.push(i % 2 === 0 ? 1 : 0);
+  });
+  return {
+    kind: "linear",
+    columns: modules.length,
+    rows: 1,
+    modules: Uint8Array.from(modules),
+    text,
+  };
+}
+
+// Lay out an encoded symbol in whole printer dots. Every module is
+// moduleSize dots wide so bar edges land exactly on the printhead grid.
+// Returns { width, height, bits, textArea } with bits as 0/1 per dot;
+// textArea is the strip left below linear codes for the readable text.
+function rasterizeBarcode(encoded, options = {}) {
+  const {
+    moduleSize = 2,
+    barHeight = 60,
+    quietZone = 10,
+    textHeight = 0,
+  } = options;
+
+  const size = Math.max(1, Math.round(moduleSize));
+  const margin = Math.max(0, Math.round(quietZone)) * size;
+  const linear = encoded.kind === "linear";
+
+  const symbolWidth = encoded.columns * size;
+  const symbolHeight = linear
+    ? Math.max(1, Math.round(barHeight))
+    : encoded.rows * size;
+  const textArea = linear ? Math.max(0, Math.round(textHeight)) : 0;
+
+  const width = symbolWidth + margin * 2;
+  const height = symbolHeight + textArea + (linear ? 0 : margin * 2);
+  const top = linear ? 0 : margin;
+  const bits = new Uint8Array(width * height);
+
+  for (let y = 0; y < symbolHeight; y++) {
+    const row = linear ? 0 : Math.floor(y / size);
+    for (let x = 0; x < symbolWidth; x++) {
+      const column = Math.floor(x / size);
+      if (encoded.modules[row * encoded.columns + column]) {
+        bits[(top + y) * width + margin + x] = 1;
+      }
+    }
+  }
+
+  return {
+    width,
+    height,
+    bits,
+    textArea: textArea
+      ? { x: margin, y: symbolHeight, width: symbolWidth, height: textArea }
+      : null,
+  };
+}
+
+export {
+  BARCODE_TYPES,
+  gs1CheckDigit,
+  loadBarcodeEncoder,
+  encodeBarcode,
+  rasterizeBarcode,
+};
@@ -0,0 +1,115 @@
+import { beforeAll, describe, expect, it } from "vitest";
+import {
+  BARCODE_TYPES,
+  encodeBarcode,
+  gs1CheckDigit,
+  loadBarcodeEncoder,
+  rasterizeBarcode,
+} from "./barcodes.js";
+
+describe("encodeBarcode", () => {
+  beforeAll(() => loadBarcodeEncoder());
+
+  it("encodes every supported symbology", () => {
+    const samples = {
+      code128: "ABC-123",
+      ean13: "590123412345",
+      upca: "03600029145",
+      code39: "ABC123",
+      qrcode: "https://example.com",
+      datamatrix: "SKU-42",
+    };
+
+    for (const [type, data] of Object.entries(samples)) {
+      const encoded = encodeBarcode(type, data);
+      expect(encoded.kind).toBe(BARCODE_TYPES[type].kind);
+      expect(encoded.modules).toHaveLength(encoded.columns * encoded.rows);
+    }
+  });
+
+  it("adds and checks EAN/UPC check digits", () => {
+    expect(gs1CheckDigit("590123412345")).toBe("7");
+    expect(encodeBarcode("ean13", "590123412345").text).toBe("5901234123457");
+    expect(encodeBarcode("upca", "036000291452").text).toBe("036000291452");
+
+    expect(() => encodeBarcode("ean13", "5901234123450")).toThrow(
+      "EAN-13 check digit should be 7, not 0",
+    );
+    expect(() => encodeBarcode("ean13", "12AB")).toThrow("digits only");
+    expect(() => encodeBarcode("upca", "123")).toThrow("needs 11 or 12 digits");
+  });
+
+  it("produces a bar pattern with start and stop bars for linear codes", () => {
+    const encoded = encodeBarcode("code128", "HELLO");
+
+    expect(encoded.rows).toBe(1);
+    expect(encoded.modules[0]).toBe(1);
+    expect(encoded.modules.at(-1)).toBe(1);
+  });
+
+  it("sizes QR codes by error correction level", () => {
+    const low = encodeBarcode("qrcode", "A".repeat(30), {
+      errorCorrection: "L",
+    });
+    const high = encodeBarcode("qrcode", "A".repeat(30), {
+      errorCorrection: "H",
+    });
+
+    expect(low.columns).toBe(low.rows);
+    expect(high.columns).toBeGreaterThan(low.columns);
+    expect(() =>
+      encodeBarcode("qrcode", "A", { errorCorrection: "X" }),
+    ).toThrow("Unknown error correction level");
+  });
+
+  it("reports data the symbology can't hold", () => {
+    expect(() => encodeBarcode("code39", "lower@case")).toThrow(
+      /^Cannot encode as Code 39/,
+    );
+    expect(() => encodeBarcode("code128", "")).toThrow("Barcode data is empty");
+    expect(() => encodeBarcode("pdf417", "x")).toThrow("Unknown barcode type");
+  });
+});
+
+describe("rasterizeBarcode", () => {
+  it("draws each linear module as whole dots with a quiet zone", () => {
+    const encoded = {
+      kind: "linear",
+      columns: 3,
+      rows: 1,
+      modules: Uint8Array.from([1, 0, 1]),
+    };
+    const raster = rasterizeBarcode(encoded, {
+      moduleSize: 2,
+      barHeight: 4,
+      quietZone: 1,
+      textHeight: 3,
+    });
+
+    expect(raster.width).toBe(10);
+    expect(raster.height).toBe(7);
+    expect(Array.from(raster.bits.slice(0, 10))).toEqual([
+      0, 0, 1, 1, 0, 0, 1, 1, 0, 0,
+    ]);
+    expect(raster.bits.slice(40).every((bit) => bit === 0)).toBe(true);
+    expect(raster.textArea).toEqual({ x: 2, y: 4, width: 6, height: 3 });
+  });
+
+  it("scales matrix cells to square blocks of dots", () => {
+    const encoded = {
+      kind: "matrix",
+      columns: 2,
+      rows: 2,
+      modules: Uint8Array.from([1, 0, 0, 1]),
+    };
+    const raster = rasterizeBarcode(encoded, { moduleSize: 3, quietZone: 1 });
+
+    expect(raster.width).toBe(12);
+    expect(raster.height).toBe(12);
+    expect(raster.bits[3 * 12 + 3]).toBe(1);
+    expect(raster.bits[5 * 12 + 5]).toBe(1);
+    expect(raster.bits[3 * 12 + 6]).toBe(0);
+    expect(raster.bits[8 * 12 + 8]).toBe(1);
+    expect(raster.textArea).toBeNull();
+  });
+});
@@ -0,0 +1,106 @@
+// dithering.js - Monochrome conversion for the 1-bit thermal printhead
+
+const DITHER_MODES = {
+  threshold: "Threshold",
+  "floyd-steinberg": "Floyd–Steinberg",
+  atkinson: "Atkinson",
+  bayer: "Bayer (ordered)",
+};
+
+// Error diffusion kernels as [dx, dy, weight]
+const DIFFUSION_KERNELS = {
+  "floyd-steinberg": [
+    [1, 0, 7 / 16],
+    [-1, 1, 3 / 16],
+    [0, 1, 5 / 16],
+    [1, 1, 1 / 16],
+  ],
+  // Atkinson only spreads 3/4 of the error, which keeps highlights clean
+  atkinson: [
+    [1, 0, 1 / 8],
+    [2, 0, 1 / 8],
+    [-1, 1, 1 / 8],
+    [0, 1, 1 / 8],
+    [1, 1, 1 / 8],
+    [0, 2, 1 / 8],
+  ],
+};
+
+const BAYER_4X4 = [
+  [0, 8, 2, 10],
+  [12, 4, 14, 6],
+  [3, 11, 1, 9],
+  [15, 7, 13, 5],
+];
+
+// Grayscale value per pixel (0 = black, 255 = white). Transparent pixels are
+// composited onto white paper so they never print.
+function toGrayscale(imageData, options = {}) {
+  const { weighting = "luminance" } = options;
+  const { width, height, data } = imageData;
+  const gray = new Float32Array(width * height);
+
+  for (let i = 0; i < gray.length; i++) {
+    const r = data[i * 4];
+    const g = data[i * 4 + 1];
+    const b = data[i * 4 + 2];
+    const alpha = data[i * 4 + 3] / 255;
+
+    const value =
+      weighting === "average"
+        ? (r + g + b) / 3
+        : 0.299 * r + 0.587 * g + 0.114 * b;
+
+    gray[i] = value * alpha + 255 * (1 - alpha);
+  }
+
+  return gray;
+}
+
+// Convert RGBA image data to one byte per pixel, 1 meaning a black dot
+function ditherImage(imageData, options = {}) {
+  const { mode = "threshold", threshold = 128 } = options;
+  const { width, height } = imageData;
+  const gray = toGrayscale(imageData, options);
+  const bits = new Uint8Array(width * height);
+
+  if (mode === "bayer") {
+    // Shift the matrix so the cutoff still moves the overall tone
+    const bias = threshold - 128;
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const level = ((BAYER_4X4[y & 3][x & 3] + 0.5) / 16) * 255 + bias;
+        bits[y * width + x] = gray[y * width + x] < level ? 1 : 0;
+      }
+    }
+    return bits;
+  }
+
+  const kernel = DIFFUSION_KERNELS[mode];
+  if (!kernel && mode !== "threshold") {
+    throw new Error(`Unknown dithering mode: ${mode}`);
+  }
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const index = y * width + x;
+      const value = gray[index];
+      const black = value < threshold;
+      bits[index] = black ? 1 : 0;
+
+      if (!kernel) continue;
+
+      const error = value - (black ? 0 : 255);
+      for (const [dx, dy, weight] of kernel) {
+        const nx = x + dx;
+        const ny = y + dy;
+        if (nx < 0 || nx >= width || ny >= height) continue;
+        gray[ny * width + nx] += error * weight;
+      }
+    }
+  }
+
+  return bits;
+}
+
+export { DITHER_MODES, toGrayscale, ditherImage };
@@ -0,0 +1,68 @@
+import { describe, expect, it } from "vitest";
+import { ditherImage, toGrayscale } from "./dithering.js";
+
+function solidImage(width, height, [r, g, b, a = 255]) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < width * height; i++) {
+    data.set([r, g, b, a], i * 4);
+  }
+  return { width, height, data };
+}
+
+const countBlack = (bits) => bits.reduce((sum, bit) => sum + bit, 0);
+
+describe("toGrayscale", () => {
+  it("weights channels by luminance", () => {
+    const [green] = toGrayscale(solidImage(1, 1, [0, 255, 0]));
+    const [blue] = toGrayscale(solidImage(1, 1, [0, 0, 255]));
+
+    expect(green).toBeCloseTo(149.685);
+    expect(blue).toBeCloseTo(29.07);
+  });
+
+  it("composites transparent pixels onto white", () => {
+    const [transparent] = toGrayscale(solidImage(1, 1, [0, 0, 0, 0]));
+    const [half] = toGrayscale(solidImage(1, 1, [0, 0, 0, 128]));
+
+    expect(transparent).toBe(255);
+    expect(half).toBeCloseTo(127, 0);
+  });
+});
+
+describe("ditherImage", () => {
+  it("applies an adjustable threshold", () => {
+    const image = solidImage(4, 1, [100, 100, 100]);
+
+    expect(countBlack(ditherImage(image, { threshold: 128 }))).toBe(4);
+    expect(countBlack(ditherImage(image, { threshold: 90 }))).toBe(0);
+  });
+
+  it.each(["floyd-steinberg", "atkinson", "bayer"])(
+    "%s renders mid grey as a pattern of roughly half the dots",
+    (mode) => {
+      const bits = ditherImage(solidImage(16, 16, [128, 128, 128]), { mode });
+      const ratio = countBlack(bits) / bits.length;
+
+      expect(ratio).toBeGreaterThan(0.35);
+      expect(ratio).toBeLessThan(0.65);
+    },
+  );
+
+  it.each(["threshold", "floyd-steinberg", "atkinson", "bayer"])(
+    "%s keeps pure black and white intact",
+    (mode) => {
+      expect(
+        countBlack(ditherImage(solidImage(8, 8, [0, 0, 0]), { mode })),
+      ).toBe(64);
+      expect(
+        countBlack(ditherImage(solidImage(8, 8, [255, 255, 255]), { mode })),
+      ).toBe(0);
+    },
+  );
+
+  it("rejects unknown modes", () => {
+    expect(() =>
+      ditherImage(solidImage(1, 1, [0, 0, 0]), { mode: "halftone" }),
+    ).toThrow("Unknown dithering mode: halftone");
+  });
+});
@@ -0,0 +1,250 @@
+// dynamicFields.js - Counters and dates evaluated per printed copy
+//
+// Tokens sit in text like mail merge fields but always contain a keyword:
+//   {{counter}}              the "serial" counter
+//   {{counter:asset}}        a named counter
+//   {{date}}                 today as YYYY-MM-DD
+//   {{date+7d:DD/MM/YYYY}}   offset by +/- N d(ays), w(eeks), m(onths), y(ears)
+//   {{time}}                 now as HH:mm, offsets in h(ours) or min(utes)
+
+const DYNAMIC_PATTERN =
+  /\{\{\s*(counter|date|time)((?:[+-]\d+(?:min|[hdwmy]))*)(?::([^{}]*?))?\s*\}\}/g;
+const OFFSET_PATTERN = /([+-]\d+)(min|[hdwmy])/g;
+
+const DEFAULT_COUNTER = "serial";
+const DEFAULT_FORMATS = { date: "YYYY-MM-DD", time: "HH:mm" };
+const MONTH_NAMES = [
+  "Jan",
+  "Feb",
+  "Mar",
+  "Apr",
+  "May",
+  "Jun",
+  "Jul",
+  "Aug",
+  "Sep",
+  "Oct",
+  "Nov",
+  "Dec",
+];
+
+const COUNTER_DEFAULTS = {
+  start: 1,
+  step: 1,
+  padding: 0,
+  prefix: "",
+  suffix: "",
+};
+
+// search() leaves the shared pattern's lastIndex alone; test() would make
+// the next matchAll() start part way through its text
+function hasDynamicFields(text) {
+  return String(text ?? "").search(DYNAMIC_PATTERN) !== -1;
+}
+
+// Whether a {{...}} body is one of ours rather than a mail merge column
+function isDynamicField(name) {
+  return hasDynamicFields(`{{${name}}}`);
+}
+
+// Counter names and whether any dates are used, across a Fabric canvas JSON
+function collectDynamicFields(canvasJSON) {
+  const counters = new Set();
+  let dates = false;
+  const visit = (objects = []) => {
+    for (const object of objects) {
+      for (const value of [
+        object.text,
+        object.barcodeData,
+        ...(object.cells?.flat() ?? []),
+      ]) {
+        if (typeof value !== "string") continue;
+        for (const [, kind, , argument] of value.matchAll(DYNAMIC_PATTERN)) {
+          if (kind === "counter") counters.add(argument || DEFAULT_COUNTER);
+          else dates = true;
+        }
+      }
+      if (object.objects) visit(object.objects);
+    }
+  };
+  visit(canvasJSON?.objects);
+  return { counters: Array.from(counters), dates };
+}
+
+function applyDateOffset(date, offset = "") {
+  const result = new Date(date);
+  for (const [, amount, unit] of offset.matchAll(OFFSET_PATTERN)) {
+    const n = Number(amount);
+    switch (unit) {
+      case "min":
+        result.setMinutes(result.getMinutes() + n);
+        break;
+      case "h":
+        result.setHours(result.getHours() + n);
+        break;
+      case "d":
+        result.setDate(result.getDate() + n);
+        break;
+      case "w":
+        result.setDate(result.getDate() + n * 7);
+        break;
+      case "m": {
+        // Clamp to the last day so Jan 31 + 1m is Feb 28/29, not Mar 2/3
+        const day = result.getDate();
+        result.setDate(1);
+        result.setMonth(result.getMonth() + n);
+        const lastDay = new Date(
+          result.getFullYear(),
+          result.getMonth() + 1,
+          0,
+        ).getDate();
+        result.setDate(Math.min(day, lastDay));
+        break;
+      }
+      case "y":
+        result.setFullYear(result.getFullYear() + n);
+        break;
+    }
+  }
+  return result;
+}
+
+// YYYY YY MMM MM M DD D HH H mm ss; anything else is copied as-is
+function formatDate(date, format) {
+  const pad = (value) => String(value).padStart(2, "0");
+  const parts = {
+    YYYY: String(date.getFullYear()),
+    YY: String(date.getFullYear()).slice(-2),
+    MMM: MONTH_NAMES[date.getMonth()],
+    MM: pad(date.getMonth() + 1),
+    M: String(date.getMonth() + 1),
+    DD: pad(date.getDate()),
+    D: String(date.getDate()),
+    HH: pad(date.getHours()),
+    H: String(date.getHours()),
+    mm: pad(date.getMinutes()),
+    ss: pad(date.getSeconds()),
+  };
+  return format.replace(
+    /YYYY|YY|MMM|MM|M|DD|D|HH|H|mm|ss/g,
+    (token) => parts[token],
+  );
+}
+
+function formatCounter(counter, value) {
+  const { padding, prefix, suffix } = { ...COUNTER_DEFAULTS, ...counter };
+  const sign = value < 0 ? "-" : "";
+  const digits = String(Math.abs(value)).padStart(padding, "0");
+  return `${prefix}${sign}${digits}${suffix}`;
+}
+
+// Replace the tokens in `text` for one copy. `counters` maps names to
+// { next, step, padding, prefix, suffix }; copy n shows next + n * step.
+function evaluateDynamicText(text, context = {}) {
+  const { counters = {}, now = new Date(), copyIndex = 0 } = context;
+
+  return String(text ?? "").replace(
+    DYNAMIC_PATTERN,
+    (match, kind, offset, argument) => {
+      if (kind === "counter") {
+        const counter = counters[argument || DEFAULT_COUNTER];
+        if (!counter) return match;
+        const { step } = { ...COUNTER_DEFAULTS, ...counter };
+        return formatCounter(counter, counter.next + copyIndex * step);
+      }
+      const format = argument || DEFAULT_FORMATS[kind];
+      return formatDate(applyDateOffset(now, offset), format);
+    },
+  );
+}
+
+// Counter settings and the next value to print, kept in localStorage so
+// numbering carries on across sessions
+class CounterStore {
+  constructor(storage = globalThis.localStorage, key = "niimbot-web:counters") {
+    this.storage = storage;
+    this.key = key;
+    this.counters = {};
+    this.load();
+  }
+
+  load() {
+    try {
+      this.counters = JSON.parse(this.storage?.getItem(this.key)) || {};
+    } catch (error) {
+      console.warn("Ignoring unreadable counter state:", error);
+      this.counters = {};
+    }
+  }
+
+  save() {
+    this.storage?.setItem(this.key, JSON.stringify(this.counters));
+  }
+
+  get(name) {
+    if (!this.counters[name]) {
+      return { ...COUNTER_DEFAULTS, next: COUNTER_DEFAULTS.start };
+    }
+    return { ...COUNTER_DEFAULTS, ...this.counters[name] };
+  }
+
+  getAll(names) {
+    return Object.fromEntries(names.map((name) => [name, this.get(name)]));
+  }
+
+  list() {
+    return Object.keys(this.counters).sort();
+  }
+
+  set(name, changes) {
+    const counter = { ...this.get(name), ...changes };
+    for (const field of ["start", "step", "padding", "next"]) {
+      if (!Number.isInteger(counter[field])) {
+        throw new Error(`Counter ${field} must be a whole number`);
+      }
+    }
+    if (counter.padding < 0 || counter.padding > 20) {
+      throw new Error("Counter padding must be between 0 and 20");
+    }
+    this.counters[name] = counter;
+    this.save();
+    return counter;
+  }
+
+  // Move past the copies that were printed
+  advance(name, copies) {
+    const counter = this.get(name);
+    return this.set(name, { next: counter.next + copies * counter.step });
+  }
+
+  // Give back the numbers of copies that were reserved but never printed.
+  // Only possible while `reservedNext`, the value after the reservation, is
+  // still next: once later copies have taken numbers past it they stay
+  // skipped.
+  release(name, reservedNext, copies) {
+    const counter = this.get(name);
+    if (copies <= 0 || counter.next !== reservedNext) return counter;
+    return this.set(name, { next: counter.next - copies * counter.step });
+  }
+
+  reset(name) {
+    return this.set(name, { next: this.get(name).start });
+  }
+
+  remove(name) {
+    delete this.counters[name];
+    this.save();
+  }
+}
+
+export {
+  DEFAULT_COUNTER,
+  hasDynamicFields,
+  isDynamicField,
+  collectDynamicFields,
+  applyDateOffset,
+  formatDate,
+  formatCounter,
+  evaluateDynamicText,
+  CounterStore,
+};
@@ -0,0 +1,153 @@
+import { describe, expect, it, vi } from "vitest";
+import {
+  CounterStore,
+  applyDateOffset,
+  collectDynamicFields,
+  evaluateDynamicText,
+  formatCounter,
+  formatDate,
+  hasDynamicFields,
+} from "./dynamicFields.js";
+import { collectPlaceholders } from "./mailMerge.js";
+
+function memoryStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+  };
+}
+
+const now = new Date(2024, 0, 31, 9, 5, 7);
+
+describe("dynamic fields", () => {
+  it("recognises counter, date and time tokens", () => {
+    expect(hasDynamicFields("Asset {{counter:asset}}")).toBe(true);
+    expect(hasDynamicFields("Best before {{date+7d:DD/MM}}")).toBe(true);
+    expect(hasDynamicFields("{{sku}} {{dates}}")).toBe(false);
+
+    const canvasJSON = {
+      objects: [
+        { type: "IText", text: "{{counter}} {{sku}}" },
+        {
+          type: "Group",
+          objects: [{ type: "Textbox", text: "{{counter:asset}}" }],
+        },
+        { type: "Barcode", barcodeData: "{{time}}" },
+      ],
+    };
+    expect(collectDynamicFields(canvasJSON)).toEqual({
+      counters: ["serial", "asset"],
+      dates: true,
+    });
+    expect(collectPlaceholders(canvasJSON)).toEqual(["sku"]);
+  });
+
+  it("finds every field after checking text for them", () => {
+    expect(hasDynamicFields("Batch {{counter:box}}")).toBe(true);
+    expect(
+      collectDynamicFields({
+        objects: [{ type: "IText", text: "{{counter:box}}" }],
+      }).counters,
+    ).toEqual(["box"]);
+  });
+
+  it("finds fields in table cells", () => {
+    const canvasJSON = {
+      objects: [
+        {
+          type: "LabelTable",
+          cells: [
+            ["Box", "{{counter:box}}"],
+            ["{{sku}}", "{{date:DD/MM}}"],
+          ],
+        },
+      ],
+    };
+
+    expect(collectDynamicFields(canvasJSON)).toEqual({
+      counters: ["box"],
+      dates: true,
+    });
+    expect(collectPlaceholders(canvasJSON)).toEqual(["sku"]);
+  });
+
+  it("formats dates and applies offsets", () => {
+    expect(formatDate(now, "YYYY-MM-DD HH:mm:ss")).toBe("2024-01-31 09:05:07");
+    expect(formatDate(now, "D MMM YY, H:mm")).toBe("31 Jan 24, 9:05");
+    expect(formatDate(applyDateOffset(now, "+7d"), "YYYY-MM-DD")).toBe(
+      "2024-02-07",
+    );
+    expect(formatDate(applyDateOffset(now, "+1m"), "YYYY-MM-DD")).toBe(
+      "2024-02-29",
+    );
+    expect(formatDate(applyDateOffset(now, "-1y+2w"), "YYYY-MM-DD")).toBe(
+      "2023-02-14",
+    );
+    expect(formatDate(applyDateOffset(now, "+90min"), "HH:mm")).toBe("10:35");
+  });
+
+  it("evaluates counters per copy", () => {
+    const counters = {
+      serial: { next: 98, step: 1, padding: 4, prefix: "A-" },
+      box: { next: 10, step: -5 },
+    };
+    const text = "{{counter}} / {{counter:box}} / {{date+7d}} / {{time}}";
+
+    expect(evaluateDynamicText(text, { counters, now, copyIndex: 0 })).toBe(
+      "A-0098 / 10 / 2024-02-07 / 09:05",
+    );
+    expect(evaluateDynamicText(text, { counters, now, copyIndex: 3 })).toBe(
+      "A-0101 / -5 / 2024-02-07 / 09:05",
+    );
+    expect(evaluateDynamicText("{{counter:missing}}", { counters })).toBe(
+      "{{counter:missing}}",
+    );
+    expect(formatCounter({ padding: 3, suffix: "#" }, 7)).toBe("007#");
+  });
+});
+
+describe("CounterStore", () => {
+  it("persists counters and continues numbering across sessions", () => {
+    const storage = memoryStorage();
+    const store = new CounterStore(storage);
+
+    expect(store.get("asset")).toMatchObject({ start: 1, next: 1 });
+    store.set("asset", { start: 100, next: 100, step: 2, prefix: "IT-" });
+    store.advance("asset", 5);
+
+    const reopened = new CounterStore(storage);
+    expect(reopened.get("asset")).toMatchObject({ next: 110, prefix: "IT-" });
+    expect(reopened.list()).toEqual(["asset"]);
+
+    reopened.reset("asset");
+    expect(reopened.get("asset").next).toBe(100);
+    expect(() => reopened.set("asset", { step: 1.5 })).toThrow(
+      "Counter step must be a whole number",
+    );
+  });
+
+  it("gives back unprinted copies while nothing has printed after them", () => {
+    const store = new CounterStore(memoryStorage());
+    store.set("asset", { start: 1, next: 1, step: 2 });
+    store.advance("asset", 5);
+
+    expect(store.release("asset", 11, 2).next).toBe(7);
+    // A later job already numbered from 7, so these stay used
+    store.advance("asset", 1);
+    expect(store.release("asset", 7, 1).next).toBe(9);
+  });
+
+  it("starts over when stored state is unreadable", () => {
+    const storage = memoryStorage();
+    storage.setItem("niimbot-web:counters", "{broken");
+    const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+
+    expect(new CounterStore(storage).list()).toEqual([]);
+    expect(warn).toHaveBeenCalledWith(
+      "Ignoring unreadable counter state:",
+      expect.any(SyntaxError),
+    );
+    warn.mockRestore();
+  });
+});
@@ -0,0 +1,93 @@
+// editHistory.js - Undo/redo stack of design snapshots
+
+const DEFAULT_LIMIT = 100;
+
+// Each entry is { label, state } where state is the serialized design after
+// the labelled command ran. The entry at `index` matches what's on screen;
+// undo steps back to the one before it. Whole snapshots rather than inverse
+// operations keep every edit undoable, including ones made through Fabric's
+// own controls.
+class EditHistory {
+  constructor(options = {}) {
+    const { limit = DEFAULT_LIMIT } = options;
+    this.limit = limit;
+    this.entries = [];
+    this.index = -1;
+    // Label of the last command recorded with `coalesce`, until anything else
+    this.coalescing = null;
+  }
+
+  // Start over from `state`, e.g. after loading a saved draft
+  reset(state) {
+    this.entries = [{ label: null, state }];
+    this.index = 0;
+    this.coalescing = null;
+  }
+
+  get current() {
+    return this.entries[this.index]?.state ?? null;
+  }
+
+  get canUndo() {
+    return this.index > 0;
+  }
+
+  get canRedo() {
+    return this.index < this.entries.length - 1;
+  }
+
+  // Labels of the commands undo and redo would revert or repeat
+  get undoLabel() {
+    return this.canUndo ? this.entries[this.index].label : null;
+  }
+
+  get redoLabel() {
+    return this.canRedo ? this.entries[this.index + 1].label : null;
+  }
+
+  // Add a command's resulting state, dropping anything that could have
+  // been redone. Returns false when the state didn't change. With
+  // `coalesce`, a repeat of the previous command (such as several arrow
+  // key nudges) replaces its entry so one undo reverts them all.
+  record(label, state, options = {}) {
+    const { coalesce = false } = options;
+    if (this.index < 0) {
+      this.reset(state);
+      return false;
+    }
+    if (state === this.current) {
+      return false;
+    }
+
+    this.entries.length = this.index + 1;
+    if (coalesce && this.coalescing === label) {
+      this.entries[this.index].state = state;
+      return true;
+    }
+
+    this.coalescing = coalesce ? label : null;
+    this.entries.push({ label, state });
+    if (this.entries.length > this.limit + 1) {
+      this.entries.shift();
+    }
+    this.index = this.entries.length - 1;
+    return true;
+  }
+
+  // The state to show after undoing, or null when there's nothing to undo
+  undo() {
+    if (!this.canUndo) return null;
+    this.coalescing = null;
+    this.index--;
+    return this.current;
+  }
+
+  redo() {
+    if (!this.canRedo) return null;
+    this.coalescing = null;
+    this.index++;
+    return this.current;
+  }
+}
+
+export { EditHistory };
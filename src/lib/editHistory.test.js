@@ -0,0 +1,69 @@
+import { describe, expect, it } from "vitest";
+import { EditHistory } from "./editHistory.js";
+
+describe("EditHistory", () => {
+  it("undoes and redoes recorded states", () => {
+    const history = new EditHistory();
+    history.reset("empty");
+    history.record("Add object", "one");
+    history.record("Edit object", "two");
+
+    expect(history.undoLabel).toBe("Edit object");
+    expect(history.undo()).toBe("one");
+    expect(history.undo()).toBe("empty");
+    expect(history.canUndo).toBe(false);
+    expect(history.undo()).toBe(null);
+
+    expect(history.redoLabel).toBe("Add object");
+    expect(history.redo()).toBe("one");
+    expect(history.redo()).toBe("two");
+    expect(history.canRedo).toBe(false);
+  });
+
+  it("drops the redo branch when a new command is recorded", () => {
+    const history = new EditHistory();
+    history.reset("empty");
+    history.record("Add object", "one");
+    history.record("Add object", "two");
+    history.undo();
+
+    expect(history.record("Delete", "other")).toBe(true);
+    expect(history.canRedo).toBe(false);
+    expect(history.undo()).toBe("one");
+  });
+
+  it("ignores commands that leave the design unchanged", () => {
+    const history = new EditHistory();
+    history.reset("empty");
+
+    expect(history.record("Edit object", "empty")).toBe(false);
+    expect(history.canUndo).toBe(false);
+  });
+
+  it("merges repeated coalescing commands into one step", () => {
+    const history = new EditHistory();
+    history.reset("start");
+    history.record("Nudge", "x1", { coalesce: true });
+    history.record("Nudge", "x2", { coalesce: true });
+    history.record("Nudge", "x3", { coalesce: true });
+
+    expect(history.undo()).toBe("start");
+
+    // An undo ends the run, so later nudges are a separate step
+    history.redo();
+    history.record("Nudge", "x4", { coalesce: true });
+    expect(history.undo()).toBe("x3");
+  });
+
+  it("keeps at most `limit` steps", () => {
+    const history = new EditHistory({ limit: 2 });
+    history.reset("s0");
+    for (const state of ["s1", "s2", "s3"]) {
+      history.record("Edit object", state);
+    }
+
+    expect(history.undo()).toBe("s2");
+    expect(history.undo()).toBe("s1");
+    expect(history.canUndo).toBe(false);
+  });
+});
@@ -0,0 +1,69 @@
+// idb.js - Minimal promise wrapper around the browser's IndexedDB
+
+const DB_NAME = "niimbot-web";
+const DB_VERSION = 2;
+
+// Object stores, created on first open or when DB_VERSION is bumped
+const STORES = ["drafts", "templates"];
+
+let dbPromise = null;
+
+function openDatabase() {
+  if (dbPromise) {
+    return dbPromise;
+  }
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") {
+      reject(new Error("IndexedDB is not available"));
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      for (const store of STORES) {
+        if (!db.objectStoreNames.contains(store)) {
+          db.createObjectStore(store);
+        }
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+  // Allow a retry if opening failed
+  dbPromise.catch(() => {
+    dbPromise = null;
+  });
+  return dbPromise;
+}
+
+async function runRequest(storeName, mode, action) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = action(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+function idbGet(storeName, key) {
+  return runRequest(storeName, "readonly", (store) => store.get(key));
+}
+
+function idbGetAll(storeName) {
+  return runRequest(storeName, "readonly", (store) => store.getAll());
+}
+
+function idbPut(storeName, key, value) {
+  return runRequest(storeName, "readwrite", (store) => store.put(value, key));
+}
+
+function idbDelete(storeName, key) {
+  return runRequest(storeName, "readwrite", (store) => store.delete(key));
+}
+
+export { openDatabase, idbGet, idbGetAll, idbPut, idbDelete };
@@ -0,0 +1,189 @@
+// labelShapes.js - Label outlines, printable area and clipping
+//
+// Everything here works in millimetres on a label { widthMM, heightMM,
+// shape }, where shape is { type, cornerRadius, path }. Custom die-cuts use
+// SVG path data in millimetres, e.g. "M 0 5 L 20 0 L 40 5 L 40 20 L 0 20 Z".
+
+const LABEL_SHAPES = {
+  rectangle: { name: "Rectangle" },
+  rounded: { name: "Rounded rectangle" },
+  circle: { name: "Round / oval" },
+  custom: { name: "Custom die-cut" },
+};
+
+const DEFAULT_SHAPE = { type: "rectangle" };
+const DEFAULT_CORNER_RADIUS = 2;
+const PATH_DATA_PATTERN = /^[\sMLHVCSQTAZmlhvcsqtaz\d.,eE+-]+$/;
+
+// Fill in defaults and check the shape can be drawn
+function normalizeShape(shape) {
+  const { type = "rectangle", cornerRadius, path } = shape || {};
+  if (!LABEL_SHAPES[type]) {
+    throw new Error(`Unknown label shape: ${type}`);
+  }
+  if (type === "rounded") {
+    const radius = cornerRadius ?? DEFAULT_CORNER_RADIUS;
+    if (typeof radius !== "number" || radius < 0) {
+      throw new Error("Corner radius must be zero or more");
+    }
+    return { type, cornerRadius: radius };
+  }
+  if (type === "custom") {
+    const outline = String(path ?? "").trim();
+    if (!outline) {
+      throw new Error("Custom die-cut needs an outline path");
+    }
+    if (!/^[Mm]/.test(outline) || !PATH_DATA_PATTERN.test(outline)) {
+      throw new Error("Die-cut outline must be SVG path data");
+    }
+    return { type, path: outline };
+  }
+  return { type };
+}
+
+// SVG path data for the outline, in millimetres
+function shapePathData(label) {
+  const { widthMM: w, heightMM: h } = label;
+  const shape = normalizeShape(label.shape);
+
+  switch (shape.type) {
+    case "rounded": {
+      const r = Math.min(shape.cornerRadius, w / 2, h / 2);
+      return [
+        `M ${r} 0 H ${w - r}`,
+        `A ${r} ${r} 0 0 1 ${w} ${r} V ${h - r}`,
+        `A ${r} ${r} 0 0 1 ${w - r} ${h} H ${r}`,
+        `A ${r} ${r} 0 0 1 0 ${h - r} V ${r}`,
+        `A ${r} ${r} 0 0 1 ${r} 0 Z`,
+      ].join(" ");
+    }
+    case "circle":
+      return [
+        `M 0 ${h / 2}`,
+        `A ${w / 2} ${h / 2} 0 1 1 ${w} ${h / 2}`,
+        `A ${w / 2} ${h / 2} 0 1 1 0 ${h / 2} Z`,
+      ].join(" ");
+    case "custom":
+      return shape.path;
+    default:
+      return `M 0 0 H ${w} V ${h} H 0 Z`;
+  }
+}
+
+let hitTestContext = null;
+
+// Custom outlines are tested with the canvas API. Without one (outside a
+// browser) only the label's bounding box is checked.
+function customPathContains(path, x, y) {
+  if (typeof Path2D === "undefined" || typeof document === "undefined") {
+    return true;
+  }
+  hitTestContext ||= document.createElement("canvas").getContext("2d");
+  return hitTestContext.isPointInPath(new Path2D(path), x, y);
+}
+
+// Whether the point (in mm from the label's top-left) is on the label
+function shapeContains(label, x, y) {
+  const { widthMM: w, heightMM: h } = label;
+  if (x < 0 || y < 0 || x > w || y > h) {
+    return false;
+  }
+
+  const shape = normalizeShape(label.shape);
+  switch (shape.type) {
+    case "rounded": {
+      const r = Math.min(shape.cornerRadius, w / 2, h / 2);
+      const dx = Math.max(r - x, x - (w - r), 0);
+      const dy = Math.max(r - y, y - (h - r), 0);
+      return dx * dx + dy * dy <= r * r;
+    }
+    case "circle": {
+      const dx = (x - w / 2) / (w / 2);
+      const dy = (y - h / 2) / (h / 2);
+      return dx * dx + dy * dy <= 1;
+    }
+    case "custom":
+      return customPathContains(shape.path, x, y);
+    default:
+      return true;
+  }
+}
+
+// A point is printable when it's at least `margin` inside the outline in
+// each direction
+function isPrintable(label, x, y, margin) {
+  return [
+    [0, 0],
+    [-margin, 0],
+    [margin, 0],
+    [0, -margin],
+    [0, margin],
+  ].every(([dx, dy]) => shapeContains(label, x + dx, y + dy));
+}
+
+// Indexes of the boxes ({ left, top, width, height } in mm) that reach into
+// the unprintable edge or past the outline. Box edges are sampled every
+// millimetre, which is enough for labels with convex or gently curved cuts.
+function findOutsideBoxes(label, boxes, margin = 0) {
+  const outside = [];
+  boxes.forEach((box, index) => {
+    const xs = samplePoints(box.left, box.width);
+    const ys = samplePoints(box.top, box.height);
+    const edges = [
+      ...xs.map((x) => [x, box.top]),
+      ...xs.map((x) => [x, box.top + box.height]),
+      ...ys.map((y) => [box.left, y]),
+      ...ys.map((y) => [box.left + box.width, y]),
+    ];
+    if (edges.some(([x, y]) => !isPrintable(label, x, y, margin))) {
+      outside.push(index);
+    }
+  });
+  return outside;
+}
+
+function samplePoints(start, length) {
+  const count = Math.max(1, Math.ceil(length));
+  return Array.from(
+    { length: count + 1 },
+    (_, i) => start + (length * i) / count,
+  );
+}
+
+// Blank everything outside the outline so nothing prints past a die-cut.
+// The canvas is assumed to cover the whole label.
+function clipToLabelShape(canvas, label) {
+  if (normalizeShape(label.shape).type === "rectangle") {
+    return canvas;
+  }
+
+  const outline = new Path2D();
+  outline.addPath(
+    new Path2D(shapePathData(label)),
+    new DOMMatrix().scale(
+      canvas.width / label.widthMM,
+      canvas.height / label.heightMM,
+    ),
+  );
+
+  const ctx = canvas.getContext("2d");
+  ctx.save();
+  ctx.globalCompositeOperation = "destination-in";
+  ctx.fill(outline);
+  ctx.globalCompositeOperation = "destination-over";
+  ctx.fillStyle = "white";
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.restore();
+  return canvas;
+}
+
+export {
+  LABEL_SHAPES,
+  DEFAULT_SHAPE,
+  DEFAULT_CORNER_RADIUS,
+  normalizeShape,
+  shapePathData,
+  shapeContains,
+  findOutsideBoxes,
+  clipToLabelShape,
+};
@@ -0,0 +1,69 @@
+import { describe, expect, it } from "vitest";
+import {
+  findOutsideBoxes,
+  normalizeShape,
+  shapeContains,
+  shapePathData,
+} from "./labelShapes.js";
+
+const round = { widthMM: 25, heightMM: 25, shape: { type: "circle" } };
+const rounded = {
+  widthMM: 40,
+  heightMM: 20,
+  shape: { type: "rounded", cornerRadius: 4 },
+};
+
+describe("label shapes", () => {
+  it("checks and fills in shape settings", () => {
+    expect(normalizeShape(null)).toEqual({ type: "rectangle" });
+    expect(normalizeShape({ type: "rounded" })).toEqual({
+      type: "rounded",
+      cornerRadius: 2,
+    });
+    expect(() => normalizeShape({ type: "star" })).toThrow(
+      "Unknown label shape: star",
+    );
+    expect(() => normalizeShape({ type: "custom" })).toThrow(
+      "Custom die-cut needs an outline path",
+    );
+    expect(() =>
+      normalizeShape({ type: "custom", path: "<svg></svg>" }),
+    ).toThrow("Die-cut outline must be SVG path data");
+  });
+
+  it("describes outlines as SVG paths in millimetres", () => {
+    expect(shapePathData({ widthMM: 40, heightMM: 20 })).toBe(
+      "M 0 0 H 40 V 20 H 0 Z",
+    );
+    expect(shapePathData(round)).toBe(
+      "M 0 12.5 A 12.5 12.5 0 1 1 25 12.5 A 12.5 12.5 0 1 1 0 12.5 Z",
+    );
+    expect(shapePathData(rounded)).toContain("A 4 4 0 0 1 40 4");
+  });
+
+  it("tests points against the outline", () => {
+    expect(shapeContains(round, 12.5, 12.5)).toBe(true);
+    expect(shapeContains(round, 1, 1)).toBe(false);
+    expect(shapeContains(rounded, 0.5, 0.5)).toBe(false);
+    expect(shapeContains(rounded, 2, 10)).toBe(true);
+    expect(shapeContains(rounded, 41, 10)).toBe(false);
+  });
+
+  it("finds boxes that reach past the printable area", () => {
+    const label = { widthMM: 40, heightMM: 20 };
+    const boxes = [
+      { left: 5, top: 5, width: 10, height: 5 },
+      { left: 0.5, top: 5, width: 10, height: 5 },
+      { left: 35, top: 15, width: 10, height: 10 },
+    ];
+
+    expect(findOutsideBoxes(label, boxes, 1)).toEqual([1, 2]);
+    expect(findOutsideBoxes(label, boxes, 0)).toEqual([2]);
+
+    // The corners of a centred square poke out of a round label
+    const square = { left: 2.5, top: 2.5, width: 20, height: 20 };
+    expect(findOutsideBoxes(round, [square], 0)).toEqual([0]);
+    const inner = { left: 6.5, top: 6.5, width: 12, height: 12 };
+    expect(findOutsideBoxes(round, [inner], 1)).toEqual([]);
+  });
+});
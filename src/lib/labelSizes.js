@@ -0,0 +1,155 @@
+// labelSizes.js - Label sizes and user presets for the size picker
+//
+// The picker works in millimetres: width across the printhead and length
+// along the feed, with a null length for continuous rolls that are cut to
+// the design. gapMM is the blank feed left after each continuous label and
+// offsetXMM/offsetYMM nudge the print to line up with pre-printed stock.
+
+const LAYOUT_DEFAULTS = { gapMM: 0, offsetXMM: 0, offsetYMM: 0 };
+
+function dotsToMm(dots, dpi) {
+  return Math.round(((dots * 25.4) / dpi) * 10) / 10;
+}
+
+// Picker entries for the sizes getSupportedLabelSizes() returns. The
+// "custom" entry is left out; the picker's own inputs cover it.
+function labelSizesFromDots(sizes, dpi = 203) {
+  return sizes
+    .filter((size) => size.key !== "custom")
+    .map((size) => ({
+      key: size.key,
+      name: size.name,
+      widthMM: dotsToMm(size.width, dpi),
+      lengthMM: size.height ? dotsToMm(size.height, dpi) : null,
+      round: Boolean(size.isRound),
+      ...LAYOUT_DEFAULTS,
+    }));
+}
+
+// Size of the stock behind a label type, e.g. the one a roll's RFID tag
+// reports. Null when the type doesn't fix a size: continuous and gap rolls
+// come in any length.
+function labelTypeSize(config, labelType) {
+  const type = config?.labelTypes?.[labelType];
+  if (!type?.height) return null;
+  return {
+    key: `labelType:${labelType}`,
+    name: type.name,
+    widthMM: dotsToMm(type.width, config.dpi),
+    lengthMM: dotsToMm(type.height, config.dpi),
+    round: type.shape === "circle",
+    ...LAYOUT_DEFAULTS,
+  };
+}
+
+// Fill in defaults and check a preset before it's stored
+function normalizePreset(preset) {
+  const name = String(preset?.name ?? "").trim();
+  if (!name) {
+    throw new Error("Preset needs a name");
+  }
+
+  const normalized = {
+    ...LAYOUT_DEFAULTS,
+    ...preset,
+    name,
+    lengthMM: preset.lengthMM ?? null,
+    round: Boolean(preset.round),
+  };
+  const isPositive = (value) => typeof value === "number" && value > 0;
+  if (!isPositive(normalized.widthMM)) {
+    throw new Error("Preset width must be a positive number");
+  }
+  if (normalized.lengthMM !== null && !isPositive(normalized.lengthMM)) {
+    throw new Error(
+      "Preset length must be a positive number, or empty for continuous labels",
+    );
+  }
+  for (const field of ["gapMM", "offsetXMM", "offsetYMM"]) {
+    if (!Number.isFinite(normalized[field])) {
+      throw new Error(`Preset ${field} must be a number`);
+    }
+  }
+  if (normalized.gapMM < 0) {
+    throw new Error("Preset gap can't be negative");
+  }
+  return normalized;
+}
+
+// Whether a preset matches the current label, allowing for the rounding of
+// millimetres to whole dots
+function presetMatches(preset, label, tolerance = 0.15) {
+  const near = (a, b) => Math.abs(a - b) <= tolerance;
+  const continuous = preset.lengthMM === null;
+  return (
+    near(preset.widthMM, label.widthMM) &&
+    continuous === Boolean(label.continuous) &&
+    (continuous || near(preset.lengthMM, label.lengthMM)) &&
+    near(preset.gapMM, label.gapMM ?? 0) &&
+    near(preset.offsetXMM, label.offsetXMM ?? 0) &&
+    near(preset.offsetYMM, label.offsetYMM ?? 0)
+  );
+}
+
+// User presets, kept in localStorage so they're there for every design
+class LabelPresetStore {
+  constructor(
+    storage = globalThis.localStorage,
+    key = "niimbot-web:label-presets",
+  ) {
+    this.storage = storage;
+    this.key = key;
+    this.presets = [];
+    this.load();
+  }
+
+  load() {
+    try {
+      const stored = JSON.parse(this.storage?.getItem(this.key));
+      this.presets = Array.isArray(stored) ? stored : [];
+    } catch (error) {
+      console.warn("Ignoring unreadable label presets:", error);
+      this.presets = [];
+    }
+  }
+
+  save() {
+    this.storage?.setItem(this.key, JSON.stringify(this.presets));
+  }
+
+  list() {
+    return [...this.presets].sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  get(id) {
+    return this.presets.find((preset) => preset.id === id) || null;
+  }
+
+  // Saving under an existing name replaces that preset
+  add(preset) {
+    const normalized = normalizePreset(preset);
+    const existing = this.presets.find((p) => p.name === normalized.name);
+    const saved = {
+      ...normalized,
+      id:
+        existing?.id ??
+        `preset-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    };
+    this.presets = [...this.presets.filter((p) => p.id !== saved.id), saved];
+    this.save();
+    return saved;
+  }
+
+  remove(id) {
+    this.presets = this.presets.filter((preset) => preset.id !== id);
+    this.save();
+  }
+}
+
+export {
+  labelSizesFromDots,
+  labelTypeSize,
+  normalizePreset,
+  presetMatches,
+  LabelPresetStore,
+};
@@ -0,0 +1,113 @@
+import { describe, expect, it } from "vitest";
+import {
+  LabelPresetStore,
+  labelSizesFromDots,
+  labelTypeSize,
+  normalizePreset,
+  presetMatches,
+} from "./labelSizes.js";
+import { getSupportedLabelSizes } from "./printerController.js";
+import { getPrinterModel } from "./printerModels.js";
+
+function memoryStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+  };
+}
+
+describe("label sizes", () => {
+  it("lists the common sizes that fit the model in millimetres", () => {
+    const sizes = labelSizesFromDots(
+      getSupportedLabelSizes(getPrinterModel("b1")),
+    );
+
+    expect(sizes.map((size) => size.key)).not.toContain("custom");
+    expect(sizes.find((size) => size.key === "continuous_15mm")).toEqual({
+      key: "continuous_15mm",
+      name: "15mm Continuous",
+      widthMM: 14.8,
+      lengthMM: null,
+      round: false,
+      gapMM: 0,
+      offsetXMM: 0,
+      offsetYMM: 0,
+    });
+    expect(sizes.find((size) => size.key === "round_25mm").round).toBe(true);
+    expect(sizes.some((size) => size.key === "label_50x30")).toBe(false);
+  });
+
+  it("sizes the canvas from label types that fix a size", () => {
+    const b203 = getPrinterModel("b203");
+
+    expect(labelTypeSize(b203, 3)).toEqual({
+      key: "labelType:3",
+      name: "Round 25mm",
+      widthMM: 29.5,
+      lengthMM: 29.5,
+      round: true,
+      gapMM: 0,
+      offsetXMM: 0,
+      offsetYMM: 0,
+    });
+    expect(labelTypeSize(b203, 4)).toMatchObject({
+      widthMM: 37.8,
+      lengthMM: 37.8,
+    });
+    expect(labelTypeSize(b203, 1)).toBe(null);
+    expect(labelTypeSize(getPrinterModel("b1"), 3)).toBe(null);
+    expect(labelTypeSize(b203, 9)).toBe(null);
+  });
+
+  it("checks presets", () => {
+    expect(normalizePreset({ name: " Jars ", widthMM: 30 })).toMatchObject({
+      name: "Jars",
+      lengthMM: null,
+      gapMM: 0,
+    });
+    expect(() => normalizePreset({ widthMM: 30 })).toThrow(
+      "Preset needs a name",
+    );
+    expect(() =>
+      normalizePreset({ name: "A", widthMM: 30, gapMM: -1 }),
+    ).toThrow("Preset gap can't be negative");
+  });
+
+  it("matches presets to the current label", () => {
+    const preset = normalizePreset({
+      name: "Shelf",
+      widthMM: 40,
+      lengthMM: 30,
+      offsetXMM: 0.5,
+    });
+
+    expect(
+      presetMatches(preset, { widthMM: 39.9, lengthMM: 30, offsetXMM: 0.5 }),
+    ).toBe(true);
+    expect(presetMatches(preset, { widthMM: 40, lengthMM: 30 })).toBe(false);
+    expect(
+      presetMatches(preset, { widthMM: 40, continuous: true, offsetXMM: 0.5 }),
+    ).toBe(false);
+  });
+});
+
+describe("LabelPresetStore", () => {
+  it("persists presets and replaces one saved under the same name", () => {
+    const storage = memoryStorage();
+    const store = new LabelPresetStore(storage);
+    const tape = store.add({ name: "Tape", widthMM: 12, gapMM: 3 });
+    store.add({ name: "Jars", widthMM: 30, lengthMM: 20 });
+    store.add({ name: "Tape", widthMM: 12, gapMM: 5 });
+
+    const reopened = new LabelPresetStore(storage);
+    expect(reopened.list().map((preset) => preset.name)).toEqual([
+      "Jars",
+      "Tape",
+    ]);
+    expect(reopened.get(tape.id).gapMM).toBe(5);
+
+    reopened.remove(tape.id);
+    expect(new LabelPresetStore(storage).list()).toHaveLength(1);
+  });
+});
@@ -0,0 +1,154 @@
+// mailMerge.js - Fill {{placeholders}} in a design from CSV or pasted rows
+
+import { isDynamicField } from "./dynamicFields.js";
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([^{}]+?)\s*\}\}/g;
+const COPIES_COLUMN = "copies";
+
+// Parse CSV or tab-separated text (as pasted from a spreadsheet). Quoted
+// fields may contain the delimiter, doubled quotes and line breaks.
+function parseDelimited(text, options = {}) {
+  const source = String(text ?? "").replace(/^\uFEFF/, "");
+  const delimiter = options.delimiter || detectDelimiter(source);
+
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === "") {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && source[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error("Unterminated quoted field");
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const nonEmpty = rows.filter((r) => r.some((value) => value.trim() !== ""));
+  if (nonEmpty.length === 0) {
+    throw new Error("No data found");
+  }
+
+  const headers = nonEmpty[0].map((header) => header.trim());
+  const duplicate = headers.find((h, i) => h && headers.indexOf(h) !== i);
+  if (duplicate) {
+    throw new Error(`Duplicate column "${duplicate}"`);
+  }
+
+  const records = nonEmpty
+    .slice(1)
+    .map((values) =>
+      Object.fromEntries(
+        headers
+          .map((header, i) => [header, values[i] ?? ""])
+          .filter(([header]) => header),
+      ),
+    );
+
+  return { headers: headers.filter(Boolean), records, delimiter };
+}
+
+// Tabs win when the header line has any, since pasted spreadsheet cells
+// often contain commas
+function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  if (firstLine.includes("\t")) return "\t";
+  if (firstLine.split(";").length > firstLine.split(",").length) return ";";
+  return ",";
+}
+
+function findPlaceholders(text) {
+  return Array.from(String(text ?? "").matchAll(PLACEHOLDER_PATTERN), (m) =>
+    m[1].trim(),
+  );
+}
+
+// Replace each {{field}} with the record's value. Unknown fields are left
+// as-is so they stand out in the preview.
+function fillPlaceholders(text, record) {
+  return String(text ?? "").replace(PLACEHOLDER_PATTERN, (match, name) =>
+    Object.hasOwn(record, name.trim()) ? record[name.trim()] : match,
+  );
+}
+
+// Placeholders used in text and barcode data anywhere in a Fabric canvas
+// JSON, including groups. Counters and dates aren't columns, so they're left
+// out.
+function collectPlaceholders(canvasJSON) {
+  const names = new Set();
+  const visit = (objects = []) => {
+    for (const object of objects) {
+      for (const value of [
+        object.text,
+        object.barcodeData,
+        ...(object.cells?.flat() ?? []),
+      ]) {
+        if (typeof value === "string") {
+          findPlaceholders(value)
+            .filter((name) => !isDynamicField(name))
+            .forEach((name) => names.add(name));
+        }
+      }
+      if (object.objects) visit(object.objects);
+    }
+  };
+  visit(canvasJSON?.objects);
+  return Array.from(names);
+}
+
+function findMissingFields(placeholders, headers) {
+  return placeholders.filter((name) => !headers.includes(name));
+}
+
+// Copies for a record from its optional "copies" column. Blank means one;
+// zero skips the row.
+function getRecordCopies(record) {
+  const key = Object.keys(record).find(
+    (header) => header.toLowerCase() === COPIES_COLUMN,
+  );
+  const value = key ? String(record[key]).trim() : "";
+  if (value === "") return 1;
+
+  const copies = Number(value);
+  if (!Number.isInteger(copies) || copies < 0 || copies > 65535) {
+    throw new Error(`Invalid copies value "${value}"`);
+  }
+  return copies;
+}
+
+export {
+  parseDelimited,
+  findPlaceholders,
+  fillPlaceholders,
+  collectPlaceholders,
+  findMissingFields,
+  getRecordCopies,
+};
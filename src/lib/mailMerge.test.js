@@ -0,0 +1,90 @@
+import { describe, expect, it } from "vitest";
+import {
+  collectPlaceholders,
+  fillPlaceholders,
+  findMissingFields,
+  findPlaceholders,
+  getRecordCopies,
+  parseDelimited,
+} from "./mailMerge.js";
+
+describe("parseDelimited", () => {
+  it("parses quoted CSV fields", () => {
+    const { headers, records, delimiter } = parseDelimited(
+      'sku,name,price\r\nA-1,"Widget, large",4.50\nB-2,"Say ""hi""\nthere",\n',
+    );
+
+    expect(delimiter).toBe(",");
+    expect(headers).toEqual(["sku", "name", "price"]);
+    expect(records).toEqual([
+      { sku: "A-1", name: "Widget, large", price: "4.50" },
+      { sku: "B-2", name: 'Say "hi"\nthere', price: "" },
+    ]);
+  });
+
+  it("detects tab-separated rows pasted from a spreadsheet", () => {
+    const { headers, records, delimiter } = parseDelimited(
+      "sku\tname\nA-1\tWidget, large\n\n",
+    );
+
+    expect(delimiter).toBe("\t");
+    expect(headers).toEqual(["sku", "name"]);
+    expect(records).toEqual([{ sku: "A-1", name: "Widget, large" }]);
+  });
+
+  it("rejects empty input, duplicate columns and open quotes", () => {
+    expect(() => parseDelimited(" \n")).toThrow("No data found");
+    expect(() => parseDelimited("a,b,a\n1,2,3")).toThrow(
+      'Duplicate column "a"',
+    );
+    expect(() => parseDelimited('a\n"open')).toThrow("Unterminated");
+  });
+});
+
+describe("placeholders", () => {
+  it("finds and fills placeholders", () => {
+    expect(findPlaceholders("{{ sku }} - {{name}}")).toEqual(["sku", "name"]);
+    expect(
+      fillPlaceholders("{{ sku }}: {{name}} {{missing}}", {
+        sku: "A-1",
+        name: "Widget",
+      }),
+    ).toBe("A-1: Widget {{missing}}");
+  });
+
+  it("collects placeholders from nested canvas objects", () => {
+    const canvasJSON = {
+      objects: [
+        { type: "IText", text: "{{sku}}" },
+        { type: "Group", objects: [{ type: "Textbox", text: "{{price}}" }] },
+        { type: "Barcode", barcodeData: "{{ean}}" },
+        { type: "Rect" },
+        {
+          type: "LabelTable",
+          cells: [
+            ["Lot", "{{lot}}"],
+            ["", "{{sku}}"],
+          ],
+        },
+      ],
+    };
+
+    const placeholders = collectPlaceholders(canvasJSON);
+    expect(placeholders).toEqual(["sku", "price", "ean", "lot"]);
+    expect(findMissingFields(placeholders, ["sku"])).toEqual([
+      "price",
+      "ean",
+      "lot",
+    ]);
+  });
+
+  it("reads the copies column", () => {
+    expect(getRecordCopies({ sku: "A" })).toBe(1);
+    expect(getRecordCopies({ Copies: " 3 " })).toBe(3);
+    expect(getRecordCopies({ copies: "" })).toBe(1);
+    expect(getRecordCopies({ copies: "0" })).toBe(0);
+    expect(() => getRecordCopies({ copies: "two" })).toThrow(
+      'Invalid copies value "two"',
+    );
+  });
+});
@@ -0,0 +1,382 @@
+// mockPrinterTransport.js - In-memory printer that speaks the Niimbot protocol
+
+import {
+  BaseTransport,
+  NiimbotPacket,
+  PacketBuffer,
+  ReceiveQueue,
+  countBlackPixels,
+} from "./printerController.js";
+
+// Request code -> response code for the commands the simulator understands
+const RESPONSE_CODES = {
+  1: 2, // START_PRINT
+  3: 4, // START_PAGE_PRINT
+  19: 20, // SET_DIMENSION
+  21: 22, // SET_QUANTITY
+  33: 49, // SET_LABEL_DENSITY
+  35: 51, // SET_LABEL_TYPE
+  227: 228, // END_PAGE_PRINT
+  243: 244, // END_PRINT
+};
+
+const DEFAULT_INFO = {
+  1: 3, // DENSITY
+  3: 1, // LABELTYPE
+  8: 4096, // DEVICETYPE
+  9: 5.68, // SOFTVERSION
+  10: 4, // BATTERY
+  11: "f1e2d3c4b5a69788", // DEVICESERIAL
+  12: 5.1, // HARDVERSION
+};
+
+class MockPrinterTransport extends BaseTransport {
+  constructor(options = {}) {
+    super();
+    const {
+      delay = 0,
+      dropRate = 0,
+      corruptRate = 0,
+      busyRate = 0,
+      endPrintBusyCount = 0,
+      maxChunkSize = null,
+      readTimeout = 50,
+      info = {},
+      lidOpen = false,
+      batteryLevel = 4,
+      paperPresent = true,
+      rfid = null,
+      jamAfter = null,
+      printheadWidth = 384,
+      heartbeatLength = 13,
+      random = Math.random,
+    } = options;
+
+    this.delay = delay;
+    this.dropRate = dropRate;
+    this.corruptRate = corruptRate;
+    this.busyRate = busyRate;
+    this.endPrintBusyCount = endPrintBusyCount;
+    this.maxChunkSize = maxChunkSize;
+    this.readTimeout = readTimeout;
+    this.info = { ...DEFAULT_INFO, ...info };
+    this.lidOpen = lidOpen;
+    this.batteryLevel = batteryLevel;
+    this.paperPresent = paperPresent;
+    // { uuid, barcode, serial, totalLabels, usedLabels, labelType } or null
+    this.rfid = rfid;
+    // Copies printed before the labels jam and the status stops counting
+    this.jamAfter = jamAfter;
+    // Dots across the printhead, which the row header counts are split over
+    this.printheadWidth = printheadWidth;
+    // Heartbeat reply layout: 13 bytes, or the 10 of models without a
+    // paper or RFID sensor
+    this.heartbeatLength = heartbeatLength;
+    this.random = random;
+
+    this.connected = false;
+    this.incoming = new PacketBuffer();
+    this.outgoing = new ReceiveQueue();
+    this.faults = [];
+
+    // Everything the printer has been told, for inspection in tests
+    this.receivedPackets = [];
+    this.density = null;
+    this.labelType = null;
+    this.quantity = 1;
+    this.printing = false;
+    // Set by the extended start-print packet of newer firmware
+    this.totalPages = null;
+    this.pageColor = null;
+    this.currentPage = null;
+    this.pages = [];
+    this.rowErrors = [];
+    this.endPrintPolls = 0;
+    this.copiesQueued = 0;
+    this.copiesPrinted = 0;
+  }
+
+  async connect() {
+    this.connected = true;
+  }
+
+  async disconnect() {
+    this.connected = false;
+    this.outgoing.clear();
+    this.incoming.clear();
+  }
+
+  async write(data) {
+    if (!this.connected) {
+      throw new Error("Device not connected");
+    }
+
+    for (const packet of this.incoming.push(data)) {
+      this.receivedPackets.push(packet);
+      this.handlePacket(packet);
+    }
+    return data.byteLength;
+  }
+
+  async read(length) {
+    if (!this.connected) {
+      throw new Error("Device not connected");
+    }
+
+    return this.outgoing.take(
+      Math.min(length, this.maxChunkSize || length),
+      this.readTimeout,
+    );
+  }
+
+  // Queue a fault for the next reply: "drop", "corrupt" or "busy"
+  injectFault(type, count = 1) {
+    for (let i = 0; i < count; i++) {
+      this.faults.push(type);
+    }
+  }
+
+  // Decoded pages as { width, height, pixels } with one 0/1 entry per dot
+  getPageImage(index = this.pages.length - 1) {
+    const page = this.pages[index];
+    if (!page) {
+      return null;
+    }
+
+    const { width, height, rows } = page;
+    const pixels = new Uint8Array(width * height);
+    for (let y = 0; y < height; y++) {
+      const row = rows[y];
+      if (!row) continue;
+      for (let x = 0; x < width; x++) {
+        const byte = row[x >> 3] || 0;
+        pixels[y * width + x] = (byte >> (7 - (x & 7))) & 1;
+      }
+    }
+
+    return { width, height, pixels };
+  }
+
+  handlePacket(packet) {
+    const { type, data } = packet;
+
+    switch (type) {
+      case 33: // SET_LABEL_DENSITY
+        this.density = data[0];
+        break;
+      case 35: // SET_LABEL_TYPE
+        this.labelType = data[0];
+        break;
+      case 1: // START_PRINT, one byte or total pages + page colour
+        this.printing = true;
+        this.quantity = 1;
+        this.totalPages = data.length >= 7 ? (data[0] << 8) | data[1] : null;
+        this.pageColor = data.length >= 7 ? data[6] : null;
+        this.endPrintPolls = 0;
+        this.copiesQueued = 0;
+        this.copiesPrinted = 0;
+        break;
+      case 3: // START_PAGE_PRINT
+        this.currentPage = { width: 0, height: 0, rows: [] };
+        break;
+      case 19: {
+        // SET_DIMENSION: rows then columns, then copies on newer firmware
+        const view = new DataView(
+          data.buffer,
+          data.byteOffset,
+          data.byteLength,
+        );
+        if (this.currentPage) {
+          this.currentPage.height = view.getUint16(0, false);
+          this.currentPage.width = view.getUint16(2, false);
+        }
+        if (data.length >= 6) {
+          this.quantity = view.getUint16(4, false);
+        }
+        break;
+      }
+      case 21: // SET_QUANTITY
+        this.quantity = (data[0] << 8) | data[1];
+        break;
+      case 0x84:
+        this.handleEmptyRows(data);
+        return;
+      case 0x85:
+        this.handleBitmapRow(data);
+        // Image rows are fire-and-forget
+        return;
+      case 163: {
+        // GET_PRINT_STATUS: each poll finishes one more copy
+        this.copiesPrinted = Math.min(
+          this.copiesPrinted + 1,
+          this.copiesQueued,
+          this.jamAfter ?? Infinity,
+        );
+        this.reply(179, [
+          this.copiesPrinted >> 8,
+          this.copiesPrinted & 0xff,
+          100,
+          100,
+        ]);
+        return;
+      }
+      case 227: // END_PAGE_PRINT
+        if (this.currentPage) {
+          this.pages.push({ ...this.currentPage, quantity: this.quantity });
+          this.copiesQueued += this.quantity;
+          this.currentPage = null;
+        }
+        break;
+      case 243: // END_PRINT
+        // Report "still busy" for the configured number of polls. Newer
+        // firmware also refuses while labels are still printing.
+        if (
+          this.endPrintPolls++ < this.endPrintBusyCount ||
+          (this.totalPages !== null && this.copiesPrinted < this.copiesQueued)
+        ) {
+          this.reply(244, [0]);
+          return;
+        }
+        this.printing = false;
+        break;
+      case 220: // HEARTBEAT
+        if (this.heartbeatLength === 10) {
+          this.reply(221, [
+            ...new Array(8).fill(0),
+            this.lidOpen ? 1 : 0,
+            this.batteryLevel,
+          ]);
+          return;
+        }
+        this.reply(221, [
+          ...new Array(9).fill(0),
+          this.lidOpen ? 1 : 0,
+          this.batteryLevel,
+          this.paperPresent ? 0 : 1,
+          this.rfid ? 0 : 1,
+        ]);
+        return;
+      case 26: // GET_RFID
+        this.reply(27, this.encodeRfid());
+        return;
+      case 64: // GET_INFO
+        this.reply(64 + data[0], this.encodeInfo(data[0]));
+        return;
+      default:
+        // Unknown commands get the "not supported" reply
+        this.reply(0, [0]);
+        return;
+    }
+
+    this.reply(RESPONSE_CODES[type], [1]);
+  }
+
+  handleBitmapRow(data) {
+    if (!this.currentPage) {
+      return;
+    }
+
+    const y = (data[0] << 8) | data[1];
+    const repeat = Math.max(1, data[5]);
+    const bits = data.slice(6);
+
+    // Firmware uses the header counts to budget heating power
+    const expected = countBlackPixels(bits, this.printheadWidth);
+    if (expected.some((count, i) => count !== data[2 + i])) {
+      this.rowErrors.push({
+        y,
+        expected,
+        received: Array.from(data.slice(2, 5)),
+      });
+    }
+
+    for (let i = 0; i < repeat; i++) {
+      this.currentPage.rows[y + i] = bits;
+    }
+  }
+
+  handleEmptyRows(data) {
+    if (!this.currentPage) {
+      return;
+    }
+
+    const y = (data[0] << 8) | data[1];
+    const blank = new Uint8Array(Math.ceil(this.currentPage.width / 8));
+    for (let i = 0; i < Math.max(1, data[2]); i++) {
+      this.currentPage.rows[y + i] = blank;
+    }
+  }
+
+  encodeInfo(key) {
+    const value = this.info[key];
+
+    if (typeof value === "string") {
+      // Hex string, e.g. the serial number
+      return value.match(/../g).map((byte) => parseInt(byte, 16));
+    }
+
+    // Versions are reported multiplied by 100
+    const number = key === 9 || key === 12 ? Math.round(value * 100) : value;
+    return number > 0xff ? [number >> 8, number & 0xff] : [number || 0];
+  }
+
+  encodeRfid() {
+    if (!this.rfid) {
+      return [0];
+    }
+
+    const encoder = new TextEncoder();
+    const { uuid, barcode, serial, totalLabels, usedLabels, labelType } =
+      this.rfid;
+    const barcodeBytes = encoder.encode(barcode);
+    const serialBytes = encoder.encode(serial);
+
+    return [
+      ...uuid.match(/../g).map((byte) => parseInt(byte, 16)),
+      barcodeBytes.length,
+      ...barcodeBytes,
+      serialBytes.length,
+      ...serialBytes,
+      totalLabels >> 8,
+      totalLabels & 0xff,
+      usedLabels >> 8,
+      usedLabels & 0xff,
+      labelType,
+    ];
+  }
+
+  reply(type, data) {
+    let fault = this.faults.shift() || null;
+    if (!fault) {
+      if (this.random() < this.dropRate) fault = "drop";
+      else if (this.random() < this.corruptRate) fault = "corrupt";
+      else if (this.random() < this.busyRate) fault = "busy";
+    }
+
+    if (fault === "drop") {
+      return;
+    }
+
+    const bytes = new NiimbotPacket(
+      type,
+      fault === "busy" ? [0] : data,
+    ).toBytes();
+    if (fault === "corrupt") {
+      bytes[bytes.length - 3] ^= 0xff;
+    }
+
+    const deliver = () => {
+      if (this.connected) {
+        this.outgoing.push(bytes);
+      }
+    };
+
+    if (this.delay > 0) {
+      setTimeout(deliver, this.delay);
+    } else {
+      deliver();
+    }
+  }
+}
+
+export { MockPrinterTransport };
@@ -0,0 +1,113 @@
+// orientation.js - Turning designs onto the printhead
+//
+// Designs are edited in reading orientation. A model's printDirection names
+// the edge of the design that should leave the printer first; printing
+// turns the bitmap clockwise so that edge becomes the first row sent.
+
+const ROTATIONS = [0, 90, 180, 270];
+
+const DIRECTION_ROTATIONS = { top: 0, left: 90, bottom: 180, right: 270 };
+
+function normalizeRotation(degrees) {
+  const turns = Number(degrees) / 90;
+  if (!Number.isInteger(turns)) {
+    throw new Error(`Rotation must be a multiple of 90°, not ${degrees}`);
+  }
+  return (((turns % 4) + 4) % 4) * 90;
+}
+
+// Clockwise rotation from design to printhead: the model's own direction
+// plus any extra turn the user asked for
+function getPrintRotation(model, rotation = 0) {
+  const base = DIRECTION_ROTATIONS[model?.printDirection] ?? 0;
+  return normalizeRotation(base + rotation);
+}
+
+// Whether the design's height runs across the printhead
+function isSideways(rotation) {
+  return normalizeRotation(rotation) % 180 !== 0;
+}
+
+function orientedSize(width, height, rotation) {
+  return isSideways(rotation)
+    ? { width: height, height: width }
+    : { width, height };
+}
+
+// Mirror a 1-bit bitmap left to right (as designed) if asked, then turn it
+// clockwise by `rotation`. Returns { bits, width, height } of the result.
+function orientBitmap(bits, width, height, options = {}) {
+  const rotation = normalizeRotation(options.rotation ?? 0);
+  const mirror = Boolean(options.mirror);
+  const size = orientedSize(width, height, rotation);
+  if (rotation === 0 && !mirror) {
+    return { bits, ...size };
+  }
+
+  const output = new Uint8Array(bits.length);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let nx = x;
+      let ny = y;
+      if (rotation === 90) {
+        nx = height - 1 - y;
+        ny = x;
+      } else if (rotation === 180) {
+        nx = width - 1 - x;
+        ny = height - 1 - y;
+      } else if (rotation === 270) {
+        nx = y;
+        ny = width - 1 - x;
+      }
+      const sourceX = mirror ? width - 1 - x : x;
+      output[ny * size.width + nx] = bits[y * width + sourceX];
+    }
+  }
+  return { bits: output, ...size };
+}
+
+// Turn a shift of the design (x to the right, y down, in dots) into the
+// offsetX/offsetY placeBitmap takes, the way orientBitmap turns the design
+// itself
+function orientOffset(x, y, options = {}) {
+  const rotation = normalizeRotation(options.rotation ?? 0);
+  // Subtracting from 0 keeps a zero shift from becoming -0
+  const dx = options.mirror ? 0 - x : x;
+  if (rotation === 90) return { offsetX: 0 - y, offsetY: dx };
+  if (rotation === 180) return { offsetX: 0 - dx, offsetY: 0 - y };
+  if (rotation === 270) return { offsetX: y, offsetY: 0 - dx };
+  return { offsetX: dx, offsetY: y };
+}
+
+// Shift a bitmap already in print orientation by offsetX dots across the
+// printhead and offsetY dots along the feed, then add `gap` blank rows after
+// it. Dots pushed past an edge are dropped.
+function placeBitmap(bits, width, height, options = {}) {
+  const { offsetX = 0, offsetY = 0, gap = 0 } = options;
+  if (offsetX === 0 && offsetY === 0 && gap === 0) {
+    return { bits, width, height };
+  }
+
+  const output = new Uint8Array(width * (height + gap));
+  for (let y = 0; y < height; y++) {
+    const ny = y + offsetY;
+    if (ny < 0 || ny >= height) continue;
+    for (let x = 0; x < width; x++) {
+      const nx = x + offsetX;
+      if (nx < 0 || nx >= width) continue;
+      output[ny * width + nx] = bits[y * width + x];
+    }
+  }
+  return { bits: output, width, height: height + gap };
+}
+
+export {
+  ROTATIONS,
+  normalizeRotation,
+  getPrintRotation,
+  isSideways,
+  orientedSize,
+  orientBitmap,
+  orientOffset,
+  placeBitmap,
+};
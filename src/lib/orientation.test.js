@@ -0,0 +1,86 @@
+import { describe, expect, it } from "vitest";
+import {
+  ROTATIONS,
+  getPrintRotation,
+  isSideways,
+  normalizeRotation,
+  orientBitmap,
+  orientOffset,
+  orientedSize,
+  placeBitmap,
+} from "./orientation.js";
+import { getPrinterModel } from "./printerModels.js";
+
+// 3x2 bitmap:
+//   1 0 0
+//   1 1 0
+const bits = Uint8Array.from([1, 0, 0, 1, 1, 0]);
+
+describe("orientation", () => {
+  it("combines the model's print direction with the user's rotation", () => {
+    expect(getPrintRotation(getPrinterModel("b1"))).toBe(0);
+    expect(getPrintRotation(getPrinterModel("d11"))).toBe(90);
+    expect(getPrintRotation(getPrinterModel("d11"), 270)).toBe(0);
+    expect(getPrintRotation(getPrinterModel("b21"), -90)).toBe(270);
+    expect(isSideways(90)).toBe(true);
+    expect(isSideways(180)).toBe(false);
+    expect(orientedSize(300, 96, 270)).toEqual({ width: 96, height: 300 });
+    expect(() => normalizeRotation(45)).toThrow(
+      "Rotation must be a multiple of 90°, not 45",
+    );
+  });
+
+  it("turns bitmaps clockwise", () => {
+    expect(orientBitmap(bits, 3, 2, { rotation: 90 })).toEqual({
+      bits: Uint8Array.from([1, 1, 1, 0, 0, 0]),
+      width: 2,
+      height: 3,
+    });
+    expect(
+      Array.from(orientBitmap(bits, 3, 2, { rotation: 180 }).bits),
+    ).toEqual([0, 1, 1, 0, 0, 1]);
+    expect(
+      Array.from(orientBitmap(bits, 3, 2, { rotation: 270 }).bits),
+    ).toEqual([0, 0, 0, 1, 1, 1]);
+    expect(orientBitmap(bits, 3, 2).bits).toBe(bits);
+  });
+
+  it("mirrors left to right as designed before turning", () => {
+    expect(Array.from(orientBitmap(bits, 3, 2, { mirror: true }).bits)).toEqual(
+      [0, 0, 1, 0, 1, 1],
+    );
+    expect(
+      Array.from(orientBitmap(bits, 3, 2, { rotation: 90, mirror: true }).bits),
+    ).toEqual([0, 0, 1, 0, 1, 1]);
+  });
+
+  it("turns design offsets with the design", () => {
+    // One dot at (1, 1) of a 4x3 design, and the same dot moved right and down
+    const dot = (x, y) => {
+      const design = new Uint8Array(12);
+      design[y * 4 + x] = 1;
+      return design;
+    };
+
+    for (const rotation of ROTATIONS) {
+      for (const mirror of [false, true]) {
+        const options = { rotation, mirror };
+        const turned = orientBitmap(dot(1, 1), 4, 3, options);
+        const shifted = placeBitmap(
+          turned.bits,
+          turned.width,
+          turned.height,
+          orientOffset(1, 1, options),
+        );
+
+        expect(shifted.bits).toEqual(
+          orientBitmap(dot(2, 2), 4, 3, options).bits,
+        );
+      }
+    }
+    expect(orientOffset(0, 2, { rotation: 90 })).toEqual({
+      offsetX: -2,
+      offsetY: 0,
+    });
+  });
+});
@@ -0,0 +1,57 @@
+// printPreview.js - Renders what the printhead will actually burn
+
+import { ditherImage } from "./dithering.js";
+
+// Paint the 1-bit result of `source` onto `target`. Lower densities are drawn
+// as lighter dots, and columns past the printhead width are shaded red since
+// the printer drops them. With `sideways` the design is turned onto the
+// printhead, so rows past its width are shaded instead.
+function renderPrintPreview(source, target, options = {}) {
+  const {
+    mode = "threshold",
+    threshold = 128,
+    density = 3,
+    maxDensity = 5,
+    printableWidth = null,
+    sideways = false,
+  } = options;
+
+  const { width, height } = source;
+  const imageData = source.getContext("2d").getImageData(0, 0, width, height);
+  const bits = ditherImage(imageData, { mode, threshold });
+
+  target.width = width;
+  target.height = height;
+  const ctx = target.getContext("2d");
+  const output = ctx.createImageData(width, height);
+
+  const ink = Math.round(150 * (1 - density / maxDensity));
+  let blackDots = 0;
+  let clippedDots = 0;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const index = y * width + x;
+      const black = bits[index] === 1;
+      const outside =
+        printableWidth !== null && (sideways ? y : x) >= printableWidth;
+      let rgb;
+
+      if (outside) {
+        if (black) clippedDots++;
+        // Hatched red so the unprintable strip stands out
+        rgb = (x + y) % 6 < 2 ? [248, 113, 113] : [254, 226, 226];
+      } else {
+        if (black) blackDots++;
+        rgb = black ? [ink, ink, ink] : [255, 255, 255];
+      }
+
+      output.data.set([...rgb, 255], index * 4);
+    }
+  }
+
+  ctx.putImageData(output, 0, 0);
+  return { blackDots, clippedDots };
+}
+
+export { renderPrintPreview };
@@ -0,0 +1,60 @@
+import { describe, expect, it } from "vitest";
+import { renderPrintPreview } from "./printPreview.js";
+
+function createCanvas(width, height, rgba) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < width * height; i++) {
+    data.set(rgba, i * 4);
+  }
+
+  const canvas = {
+    width,
+    height,
+    output: null,
+    getContext: () => ({
+      getImageData: () => ({ width, height, data }),
+      createImageData: (w, h) => ({
+        width: w,
+        height: h,
+        data: new Uint8ClampedArray(w * h * 4),
+      }),
+      putImageData: (imageData) => (canvas.output = imageData),
+    }),
+  };
+  return canvas;
+}
+
+describe("renderPrintPreview", () => {
+  it("draws black dots with an ink tone that follows density", () => {
+    const source = createCanvas(2, 1, [0, 0, 0, 255]);
+    const target = createCanvas(0, 0, [0, 0, 0, 0]);
+
+    renderPrintPreview(source, target, { density: 5, maxDensity: 5 });
+    expect(Array.from(target.output.data.slice(0, 4))).toEqual([0, 0, 0, 255]);
+
+    renderPrintPreview(source, target, { density: 1, maxDensity: 5 });
+    expect(target.output.data[0]).toBe(120);
+  });
+
+  it("counts dots past the printhead width as clipped", () => {
+    const source = createCanvas(10, 2, [0, 0, 0, 255]);
+    const target = createCanvas(0, 0, [0, 0, 0, 0]);
+
+    const stats = renderPrintPreview(source, target, { printableWidth: 8 });
+
+    expect(stats).toEqual({ blackDots: 16, clippedDots: 4 });
+    expect([target.width, target.height]).toEqual([10, 2]);
+  });
+
+  it("clips rows instead when the design prints sideways", () => {
+    const source = createCanvas(4, 10, [0, 0, 0, 255]);
+    const target = createCanvas(0, 0, [0, 0, 0, 0]);
+
+    const stats = renderPrintPreview(source, target, {
+      printableWidth: 8,
+      sideways: true,
+    });
+
+    expect(stats).toEqual({ blackDots: 32, clippedDots: 8 });
+  });
+});
@@ -0,0 +1,252 @@
+// printQueue.js - Sequential print jobs sharing print sessions
+
+// Settings that must match for jobs to share one print session
+const SESSION_SETTINGS = [
+  "density",
+  "labelType",
+  "dithering",
+  "threshold",
+  "rotate",
+  "mirror",
+  "offsetX",
+  "offsetY",
+  "gap",
+];
+
+// Errors that mean the printer went away rather than rejected the job
+function isConnectionError(error) {
+  return /disconnect|not connected|device.*(lost|gone)|NetworkError|NotFoundError/i.test(
+    `${error?.name} ${error?.message}`,
+  );
+}
+
+function sessionKey(options) {
+  return JSON.stringify(SESSION_SETTINGS.map((key) => options[key]));
+}
+
+// Jobs are { id, name, pages, options, state, error, pagesPrinted } where
+// state is "queued", "printing", "done" or "failed" and pages use the
+// PrinterClient.printPages format. Consecutive queued jobs with the same
+// settings go out in one session. A job interrupted by a disconnect goes
+// back to "queued" and the queue pauses until setClient() hands it a
+// printer again, then carries on from the job's first unprinted page.
+class PrintQueue {
+  constructor(options = {}) {
+    const { onChange = null, onProgress = null } = options;
+    this.onChange = onChange;
+    this.onProgress = onProgress;
+
+    this.client = null;
+    this.jobs = [];
+    this.nextId = 1;
+    this.paused = false;
+    this.pauseReason = null;
+    this.running = false;
+    this.abortController = null;
+  }
+
+  get isBusy() {
+    return this.running;
+  }
+
+  notify() {
+    if (this.onChange) this.onChange(this);
+  }
+
+  setClient(client) {
+    this.client = client;
+    if (!client) {
+      if (this.running) this.pause("disconnected");
+    } else if (this.pauseReason === "disconnected") {
+      this.resume();
+      return;
+    } else {
+      this.process();
+    }
+    this.notify();
+  }
+
+  add({ name, pages, options = {} }) {
+    if (!pages || pages.length === 0) {
+      throw new Error("A print job needs at least one page");
+    }
+
+    const job = {
+      id: this.nextId++,
+      name: name || `Job ${this.nextId - 1}`,
+      pages,
+      options,
+      state: "queued",
+      error: null,
+      pagesPrinted: 0,
+      addedAt: new Date(),
+    };
+    this.jobs.push(job);
+    this.notify();
+    this.process();
+    return job;
+  }
+
+  get(id) {
+    return this.jobs.find((job) => job.id === id) || null;
+  }
+
+  remove(id) {
+    const job = this.get(id);
+    if (!job) return;
+    if (job.state === "printing") {
+      throw new Error("Cancel the job before removing it");
+    }
+    this.jobs = this.jobs.filter((other) => other !== job);
+    this.notify();
+  }
+
+  // Move a job up (negative) or down (positive) the list
+  move(id, offset) {
+    const from = this.jobs.findIndex((job) => job.id === id);
+    const to = from + offset;
+    if (from < 0 || to < 0 || to >= this.jobs.length) return;
+    if ([from, to].some((i) => this.jobs[i].state === "printing")) return;
+
+    const [job] = this.jobs.splice(from, 1);
+    this.jobs.splice(to, 0, job);
+    this.notify();
+  }
+
+  // Requeue a failed job, continuing after the pages that did print
+  retry(id) {
+    const job = this.get(id);
+    if (!job || job.state !== "failed") return;
+    job.state = "queued";
+    job.error = null;
+    this.notify();
+    this.process();
+  }
+
+  clearFinished() {
+    this.jobs = this.jobs.filter((job) => job.state !== "done");
+    this.notify();
+  }
+
+  pause(reason = "user") {
+    this.paused = true;
+    this.pauseReason = reason;
+    this.notify();
+  }
+
+  resume() {
+    this.paused = false;
+    this.pauseReason = null;
+    this.notify();
+    this.process();
+  }
+
+  // Abort the session in progress. The queue pauses so the remaining jobs
+  // don't start straight away.
+  cancelCurrent() {
+    if (this.abortController) {
+      this.pause("cancelled");
+      this.abortController.abort();
+    }
+  }
+
+  // Leading run of queued jobs that can share one session
+  nextGroup() {
+    const queued = this.jobs.filter((job) => job.state === "queued");
+    if (queued.length === 0) return [];
+
+    const key = sessionKey(queued[0].options);
+    const group = [];
+    for (const job of this.jobs.slice(this.jobs.indexOf(queued[0]))) {
+      if (job.state !== "queued" || sessionKey(job.options) !== key) break;
+      group.push(job);
+    }
+    return group;
+  }
+
+  async process() {
+    if (this.running) return;
+    this.running = true;
+    this.notify();
+
+    try {
+      // Let jobs added in the same tick join the first session
+      await Promise.resolve();
+
+      while (!this.paused && this.client) {
+        const group = this.nextGroup();
+        if (group.length === 0) break;
+        await this.runSession(group);
+      }
+    } finally {
+      this.running = false;
+      this.abortController = null;
+      this.notify();
+    }
+  }
+
+  async runSession(group) {
+    const client = this.client;
+    const pages = [];
+    const pageJobs = [];
+    for (const job of group) {
+      for (const page of job.pages.slice(job.pagesPrinted)) {
+        pages.push(page);
+        pageJobs.push(job);
+      }
+    }
+
+    group.forEach((job) => (job.state = "printing"));
+    this.abortController = new AbortController();
+    this.notify();
+
+    const finishPages = (count) => {
+      for (const job of pageJobs.slice(0, count)) {
+        job.pagesPrinted++;
+      }
+      for (const job of group) {
+        if (job.pagesPrinted >= job.pages.length) job.state = "done";
+      }
+    };
+
+    try {
+      await client.printPages(pages, {
+        ...group[0].options,
+        signal: this.abortController.signal,
+        onProgress: (progress) => {
+          if (this.onProgress) {
+            this.onProgress(progress, pageJobs[progress.page] || null);
+          }
+        },
+      });
+      finishPages(pages.length);
+    } catch (error) {
+      finishPages(error.pagesCompleted ?? 0);
+      const failed = pageJobs[error.pagesCompleted ?? 0];
+      const interrupted = this.client !== client || isConnectionError(error);
+
+      for (const job of group) {
+        if (job.state !== "printing") continue;
+        if (job === failed && error.name === "AbortError") {
+          job.state = "failed";
+          job.error = "Cancelled";
+        } else if (job === failed && !interrupted) {
+          job.state = "failed";
+          job.error = error.message || "Printing error";
+        } else {
+          // Untouched by the error, or waiting for the printer to return
+          job.state = "queued";
+        }
+      }
+
+      if (interrupted && !this.paused) {
+        this.pause("disconnected");
+      }
+    } finally {
+      this.abortController = null;
+      this.notify();
+    }
+  }
+}
+
+export { PrintQueue, isConnectionError };
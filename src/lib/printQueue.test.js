@@ -0,0 +1,193 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { PrintQueue, isConnectionError } from "./printQueue.js";
+import { PrinterClient } from "./printerController.js";
+import { MockPrinterTransport } from "./mockPrinterTransport.js";
+
+// White 384-dot page with a black dot at column `marker` to tell pages apart
+function page(marker, copies = 1) {
+  const width = 384;
+  const height = 10;
+  const data = new Uint8ClampedArray(width * height * 4).fill(255);
+  data.fill(0, marker * 4, marker * 4 + 3);
+  const canvas = {
+    width,
+    height,
+    getContext: () => ({ getImageData: () => ({ width, height, data }) }),
+  };
+  return { canvas, copies };
+}
+
+function markers(transport) {
+  return transport.pages.map((_, i) =>
+    transport.getPageImage(i).pixels.indexOf(1),
+  );
+}
+
+async function connectedClient(transport = new MockPrinterTransport()) {
+  const client = new PrinterClient(transport, "b1");
+  await client.connect();
+  return client;
+}
+
+function waitForIdle(queue) {
+  return new Promise((resolve) => {
+    const check = () => {
+      if (!queue.isBusy) resolve();
+      else setTimeout(check, 10);
+    };
+    setTimeout(check, 0);
+  });
+}
+
+const settings = { density: 3, labelType: 1 };
+
+describe("PrintQueue", () => {
+  // The client reports each job on the console
+  const output = {};
+  beforeEach(() => {
+    for (const level of ["log", "warn", "error"]) {
+      output[level] = vi.spyOn(console, level).mockImplementation(() => {});
+    }
+  });
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it("shares one session between jobs with the same settings", async () => {
+    const client = await connectedClient();
+    const queue = new PrintQueue();
+    queue.setClient(client);
+
+    queue.add({ name: "A", pages: [page(1), page(2, 3)], options: settings });
+    queue.add({ name: "B", pages: [page(3)], options: settings });
+    queue.add({ name: "C", pages: [page(4)], options: { density: 5 } });
+    await waitForIdle(queue);
+
+    const { transport } = client;
+    const starts = transport.receivedPackets.filter((p) => p.type === 1);
+    expect(starts).toHaveLength(2);
+    expect(markers(transport)).toEqual([1, 2, 3, 4]);
+    expect(transport.pages.map((p) => p.quantity)).toEqual([1, 3, 1, 1]);
+    expect(queue.jobs.map((job) => job.state)).toEqual([
+      "done",
+      "done",
+      "done",
+    ]);
+  });
+
+  it("reorders and removes jobs before they print", async () => {
+    const queue = new PrintQueue();
+    const a = queue.add({ name: "A", pages: [page(1)], options: settings });
+    const b = queue.add({ name: "B", pages: [page(2)], options: settings });
+    const c = queue.add({ name: "C", pages: [page(3)], options: settings });
+
+    queue.move(c.id, -2);
+    queue.remove(b.id);
+    expect(queue.jobs.map((job) => job.name)).toEqual(["C", "A"]);
+    expect(a.state).toBe("queued");
+
+    const client = await connectedClient();
+    queue.setClient(client);
+    await waitForIdle(queue);
+
+    expect(markers(client.transport)).toEqual([3, 1]);
+  });
+
+  it("fails a bad job, keeps going and can retry it", async () => {
+    const client = await connectedClient();
+    const queue = new PrintQueue();
+    queue.setClient(client);
+
+    const wide = { ...page(1), canvas: { ...page(1).canvas, width: 500 } };
+    const bad = queue.add({ name: "Bad", pages: [wide], options: settings });
+    const good = queue.add({
+      name: "Good",
+      pages: [page(2)],
+      options: { density: 2 },
+    });
+    await waitForIdle(queue);
+
+    expect(bad.state).toBe("failed");
+    expect(bad.error).toContain("Dimension validation failed");
+    expect(good.state).toBe("done");
+    expect(output.error).toHaveBeenCalledWith(
+      "Print failed:",
+      expect.objectContaining({ message: bad.error }),
+    );
+
+    bad.pages = [page(5)];
+    queue.retry(bad.id);
+    await waitForIdle(queue);
+    expect(bad.state).toBe("done");
+    expect(markers(client.transport)).toEqual([2, 5]);
+  });
+
+  it("pauses on disconnect and resumes with the unprinted pages", async () => {
+    const transport = new MockPrinterTransport();
+    const client = await connectedClient(transport);
+    const queue = new PrintQueue({
+      onProgress: (progress) => {
+        if (progress.page === 1 && progress.phase === "startPage") {
+          transport.connected = false;
+          queue.setClient(null);
+        }
+      },
+    });
+    queue.setClient(client);
+
+    const job = queue.add({
+      name: "Batch",
+      pages: [page(1), page(2), page(3)],
+      options: settings,
+    });
+    await waitForIdle(queue);
+
+    expect(job.state).toBe("queued");
+    expect(job.pagesPrinted).toBe(1);
+    expect(queue.pauseReason).toBe("disconnected");
+    expect(output.warn).toHaveBeenCalledWith(
+      "Could not end the print session cleanly:",
+      expect.objectContaining({ message: "Device not connected" }),
+    );
+    expect(output.error).toHaveBeenCalledWith(
+      "Print failed:",
+      expect.objectContaining({ message: "Device not connected" }),
+    );
+
+    queue.onProgress = null;
+    await transport.connect();
+    queue.setClient(await connectedClient(transport));
+    await waitForIdle(queue);
+
+    expect(job.state).toBe("done");
+    expect(markers(transport)).toEqual([1, 2, 3]);
+  });
+
+  it("marks a cancelled job failed and pauses", async () => {
+    const client = await connectedClient();
+    const queue = new PrintQueue({
+      onProgress: (progress) => {
+        if (progress.phase === "data") queue.cancelCurrent();
+      },
+    });
+    queue.setClient(client);
+
+    const job = queue.add({ name: "A", pages: [page(1)], options: settings });
+    queue.add({ name: "B", pages: [page(2)], options: { density: 1 } });
+    await waitForIdle(queue);
+
+    expect(job.state).toBe("failed");
+    expect(job.error).toBe("Cancelled");
+    expect(output.log).toHaveBeenCalledWith("Print cancelled");
+    expect(queue.paused).toBe(true);
+    expect(queue.jobs[1].state).toBe("queued");
+  });
+
+  it("recognises connection errors", () => {
+    expect(isConnectionError(new Error("Device not connected"))).toBe(true);
+    expect(isConnectionError(new Error("Printer disconnected"))).toBe(true);
+    expect(isConnectionError(new Error("Dimension validation failed"))).toBe(
+      false,
+    );
+  });
+});
@@ -0,0 +1,146 @@
+// printTasks.js - Per-protocol steps of a print session
+//
+// Firmware generations disagree on a few packets of the print flow: how a
+// session starts, how a page's size and copies are set and how the end of
+// the job is confirmed. A print task wraps those steps so
+// PrinterClient.printPages can drive any of them. Tasks call the client's
+// command methods and keep whatever state they need for one session.
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Original protocol: one-byte start, rows/columns page size with copies
+// sent separately, and endPrint polled until the printer agrees
+class LegacyPrintTask {
+  constructor(client) {
+    this.client = client;
+    // The printer remembers the last quantity within a session
+    this.quantity = 1;
+  }
+
+  async startPrint() {
+    await this.client.startPrint();
+  }
+
+  async setPageSize(rows, columns, copies) {
+    await this.client.setDimension(rows, columns);
+    if (copies !== this.quantity) {
+      await this.client.setQuantity(copies);
+      this.quantity = copies;
+    }
+  }
+
+  // Status is shown when the printer reports it; older firmware has none
+  async waitForFinish({ totalCopies, onCopies, signal }) {
+    await sleep(300);
+
+    let statusSupported = true;
+    let printEnded = false;
+    while (!printEnded) {
+      signal?.throwIfAborted();
+
+      if (statusSupported) {
+        try {
+          const { page } = await this.client.getPrintStatus();
+          onCopies(Math.min(page, totalCopies));
+        } catch (error) {
+          statusSupported = false;
+        }
+      }
+
+      printEnded = await this.client.endPrint();
+      if (!printEnded) {
+        await sleep(100);
+      }
+    }
+  }
+}
+
+// Newer B1/D110/B21 firmware: the session announces how many labels follow
+// and in which colour, each page carries its copies in the size packet, and
+// the job is only ended once the print status shows every label done
+class V5PrintTask {
+  constructor(client) {
+    this.client = client;
+    this.statusInterval = 200;
+  }
+
+  async startPrint({ totalCopies, pageColor = 0 }) {
+    await this.client.startPrint({ totalPages: totalCopies, pageColor });
+  }
+
+  async setPageSize(rows, columns, copies) {
+    await this.client.setPageSize(rows, columns, copies);
+  }
+
+  // A count that stops moving (jam, empty roll) fails the job rather than
+  // waiting forever. The error's copiesCompleted says how far it got.
+  async waitForFinish({ totalCopies, onCopies, signal }) {
+    let lastPage = -1;
+    let lastProgress = Date.now();
+    for (;;) {
+      signal?.throwIfAborted();
+      const { page } = await this.client.getPrintStatus();
+      onCopies(Math.min(page, totalCopies));
+      if (page >= totalCopies) break;
+
+      if (page !== lastPage) {
+        lastPage = page;
+        lastProgress = Date.now();
+      } else if (Date.now() - lastProgress >= this.client.printStallTimeout) {
+        const error = new Error(
+          `Printer stopped after ${page} of ${totalCopies} labels`,
+        );
+        error.copiesCompleted = page;
+        throw error;
+      }
+      await sleep(this.statusInterval);
+    }
+
+    while (!(await this.client.endPrint())) {
+      signal?.throwIfAborted();
+      await sleep(100);
+    }
+  }
+}
+
+// Protocol name -> task class. Models name theirs in printerModels.js.
+const PRINT_TASKS = {
+  legacy: LegacyPrintTask,
+  v5: V5PrintTask,
+};
+
+function registerPrintTask(name, TaskClass) {
+  if (!name || typeof TaskClass !== "function") {
+    throw new Error("Print task needs a name and a class");
+  }
+  PRINT_TASKS[name] = TaskClass;
+}
+
+function createPrintTask(protocol, client) {
+  const TaskClass = PRINT_TASKS[protocol];
+  if (!TaskClass) {
+    throw new Error(`Unknown print protocol: ${protocol}`);
+  }
+  return new TaskClass(client);
+}
+
+// The protocol a model speaks with the given firmware version. Without a
+// known version the model's base protocol is used.
+function resolveProtocol(model, firmwareVersion = null) {
+  let protocol = model.protocol;
+  if (firmwareVersion !== null && firmwareVersion !== undefined) {
+    for (const rule of model.firmwareProtocols) {
+      if (firmwareVersion >= rule.minFirmware) protocol = rule.protocol;
+    }
+  }
+  return protocol;
+}
+
+export {
+  PRINT_TASKS,
+  LegacyPrintTask,
+  V5PrintTask,
+  registerPrintTask,
+  createPrintTask,
+  resolveProtocol,
+};
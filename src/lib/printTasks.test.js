@@ -0,0 +1,50 @@
+import { afterEach, describe, expect, it } from "vitest";
+import {
+  LegacyPrintTask,
+  PRINT_TASKS,
+  createPrintTask,
+  registerPrintTask,
+  resolveProtocol,
+} from "./printTasks.js";
+import { getPrinterModel } from "./printerModels.js";
+
+describe("print tasks", () => {
+  afterEach(() => {
+    delete PRINT_TASKS.custom;
+  });
+
+  it("picks a model's protocol by firmware version", () => {
+    const b21 = getPrinterModel("b21");
+
+    expect(resolveProtocol(b21)).toBe("legacy");
+    expect(resolveProtocol(b21, 4.9)).toBe("legacy");
+    expect(resolveProtocol(b21, 5)).toBe("v5");
+    expect(resolveProtocol(getPrinterModel("d11"), 6.1)).toBe("legacy");
+
+    const model = {
+      protocol: "legacy",
+      firmwareProtocols: [
+        { minFirmware: 2, protocol: "a" },
+        { minFirmware: 3, protocol: "b" },
+      ],
+    };
+    expect(resolveProtocol(model, 2.5)).toBe("a");
+    expect(resolveProtocol(model, 3.1)).toBe("b");
+  });
+
+  it("creates registered tasks for a client", () => {
+    class CustomPrintTask extends LegacyPrintTask {}
+    registerPrintTask("custom", CustomPrintTask);
+    const client = {};
+
+    const task = createPrintTask("custom", client);
+    expect(task).toBeInstanceOf(CustomPrintTask);
+    expect(task.client).toBe(client);
+    expect(() => createPrintTask("missing", client)).toThrow(
+      "Unknown print protocol: missing",
+    );
+    expect(() => registerPrintTask("broken")).toThrow(
+      "Print task needs a name and a class",
+    );
+  });
+});
@@ -1,5 +1,19 @@
 // niimbot-web.js - Web implementation of Niimbot printer control
 
+import { ditherImage } from "./dithering.js";
+import {
+  getPrintRotation,
+  orientBitmap,
+  orientedSize,
+  placeBitmap,
+} from "./orientation.js";
+import {
+  PRINTER_MODELS,
+  TRANSPORTS,
+  findModelByDeviceType,
+} from "./printerModels.js";
+import { PRINT_TASKS, createPrintTask, resolveProtocol } from "./printTasks.js";
+
 // Packet implementation
 class NiimbotPacket {
   constructor(type, data) {
@@ -58,8 +72,169 @@ class NiimbotPacket {
   }
 }
 
+// Stream framing: accumulates transport bytes and cuts them into packets
+class PacketBuffer {
+  constructor() {
+    this.buffer = new Uint8Array();
+  }
+
+  get length() {
+    return this.buffer.length;
+  }
+
+  clear() {
+    this.buffer = new Uint8Array();
+  }
+
+  // Append raw bytes and return every complete, valid packet now available
+  push(chunk) {
+    const bytes =
+      chunk instanceof Uint8Array
+        ? chunk
+        : ArrayBuffer.isView(chunk)
+          ? new Uint8Array(chunk.buffer, chunk.byteOffset, chunk.byteLength)
+          : new Uint8Array(chunk);
+
+    const merged = new Uint8Array(this.buffer.length + bytes.length);
+    merged.set(this.buffer);
+    merged.set(bytes, this.buffer.length);
+    this.buffer = merged;
+
+    const packets = [];
+    let packet;
+    while ((packet = this.next())) {
+      packets.push(packet);
+    }
+    return packets;
+  }
+
+  // Extract the next packet, discarding garbage in front of it to resync.
+  // Returns null when more bytes are needed.
+  next() {
+    let start = 0;
+
+    while (start < this.buffer.length) {
+      // Scan for the 0x55 0x55 header
+      if (this.buffer[start] !== 0x55) {
+        start++;
+        continue;
+      }
+      if (start + 1 >= this.buffer.length) {
+        break;
+      }
+      if (this.buffer[start + 1] !== 0x55) {
+        start++;
+        continue;
+      }
+
+      // Header, type and length must be present before the size is known
+      if (start + 4 > this.buffer.length) {
+        break;
+      }
+
+      const frameLength = this.buffer[start + 3] + 7;
+      if (start + frameLength > this.buffer.length) {
+        break;
+      }
+
+      const frame = this.buffer.slice(start, start + frameLength);
+      try {
+        const packet = NiimbotPacket.fromBytes(frame);
+        this.buffer = this.buffer.slice(start + frameLength);
+        return packet;
+      } catch (error) {
+        // Bad footer or checksum: treat this header as noise and rescan
+        console.warn("Discarding malformed packet:", error.message);
+        start++;
+      }
+    }
+
+    // Drop everything already proven not to start a packet
+    if (start > 0) {
+      this.buffer = this.buffer.slice(start);
+    }
+    return null;
+  }
+}
+
+// Bytes received from the device, waiting to be read
+class ReceiveQueue {
+  constructor() {
+    this.chunks = [];
+    this.pendingReads = [];
+  }
+
+  get isEmpty() {
+    return this.chunks.length === 0;
+  }
+
+  push(chunk) {
+    this.chunks.push(chunk);
+    const pending = this.pendingReads.shift();
+    if (pending) {
+      clearTimeout(pending.timer);
+      pending.resolve();
+    }
+  }
+
+  clear() {
+    this.chunks = [];
+    for (const pending of this.pendingReads.splice(0)) {
+      clearTimeout(pending.timer);
+      pending.resolve();
+    }
+  }
+
+  // Resolve with up to `length` bytes, or an empty buffer after `timeout` ms
+  async take(length, timeout) {
+    if (this.isEmpty) {
+      await new Promise((resolve) => {
+        const pending = { resolve };
+        pending.timer = setTimeout(() => {
+          const index = this.pendingReads.indexOf(pending);
+          if (index !== -1) this.pendingReads.splice(index, 1);
+          resolve();
+        }, timeout);
+        this.pendingReads.push(pending);
+      });
+    }
+
+    const chunk = new Uint8Array(length);
+    let size = 0;
+
+    while (this.chunks.length > 0 && size < length) {
+      const head = this.chunks[0];
+      const count = Math.min(head.length, length - size);
+      chunk.set(head.subarray(0, count), size);
+      size += count;
+
+      if (count === head.length) {
+        this.chunks.shift();
+      } else {
+        this.chunks[0] = head.subarray(count);
+      }
+    }
+
+    return chunk.slice(0, size).buffer;
+  }
+}
+
 // Transport interfaces
 class BaseTransport {
+  constructor() {
+    // Connection type checked against the model's transports ("usb",
+    // "bluetooth", "serial"), or null for the simulator
+    this.kind = null;
+    // Called when the device goes away without disconnect() being called
+    this.onDisconnect = null;
+  }
+
+  notifyDisconnect() {
+    if (this.onDisconnect) {
+      this.onDisconnect();
+    }
+  }
+
   async read(length) {
     throw new Error("Not implemented");
   }
@@ -77,147 +252,317 @@ class BaseTransport {
   }
 }
 
+// USB IDs of the Niimbot models with a USB data connection. Most of them
+// enumerate as a CDC-ACM serial device with a bulk data interface.
+const NIIMBOT_USB_VENDOR_ID = 0x3513;
+const NIIMBOT_USB_FILTERS = [
+  { vendorId: NIIMBOT_USB_VENDOR_ID, productId: 0x0002 }, // B1, B21, B203
+  { vendorId: NIIMBOT_USB_VENDOR_ID, productId: 0x0003 }, // B18
+  { vendorId: NIIMBOT_USB_VENDOR_ID }, // Other Niimbot devices
+];
+
+const USB_CLASS_CDC_CONTROL = 0x02;
+const CDC_SET_CONTROL_LINE_STATE = 0x22;
+
 // WebUSB Transport
 class WebUSBTransport extends BaseTransport {
   constructor() {
     super();
+    this.kind = "usb";
     this.device = null;
     this.usbInterface = null;
-    this.endpoint = null;
+    this.controlInterface = null;
+    this.inEndpoint = null;
+    this.outEndpoint = null;
+
+    this.handleUsbDisconnect = (event) => {
+      if (event.device !== this.device) return;
+      navigator.usb.removeEventListener("disconnect", this.handleUsbDisconnect);
+      this.reset();
+      this.notifyDisconnect();
+    };
   }
 
   async connect() {
     try {
-      // Request device - you'll need to adjust the filters based on your printer's USB descriptors
       this.device = await navigator.usb.requestDevice({
-        filters: [
-          { vendorId: 0x0000 }, // Replace with actual vendor ID
-          // Add more specific filters as needed
-        ],
+        filters: NIIMBOT_USB_FILTERS,
       });
 
       await this.device.open();
 
-      // Select configuration (usually 1)
-      await this.device.selectConfiguration(1);
-
-      // Claim interface (usually 0)
-      await this.device.claimInterface(0);
+      const match = this.findBulkInterface();
+      if (!match) {
+        throw new Error("No suitable endpoint found");
+      }
 
-      // Find bulk out endpoint
-      const usbInterface = this.device.configuration.interfaces[0];
-      this.endpoint = usbInterface.alternate.endpoints.find(
-        (ep) => ep.direction === "out" && ep.type === "bulk",
-      );
+      if (
+        !this.device.configuration ||
+        this.device.configuration.configurationValue !==
+          match.configuration.configurationValue
+      ) {
+        await this.device.selectConfiguration(
+          match.configuration.configurationValue,
+        );
+      }
 
-      if (!this.endpoint) {
-        throw new Error("No suitable endpoint found");
+      await this.device.claimInterface(match.usbInterface.interfaceNumber);
+      if (match.alternate.alternateSetting !== 0) {
+        await this.device.selectAlternateInterface(
+          match.usbInterface.interfaceNumber,
+          match.alternate.alternateSetting,
+        );
       }
 
+      this.usbInterface = match.usbInterface;
+      this.inEndpoint = match.inEndpoint;
+      this.outEndpoint = match.outEndpoint;
+
+      await this.activateSerialLine(match.configuration);
+
+      navigator.usb.addEventListener("disconnect", this.handleUsbDisconnect);
+
       console.log("WebUSB connected successfully");
     } catch (error) {
       console.error("WebUSB connection failed:", error);
+      await this.disconnect();
       throw error;
     }
   }
 
+  // Find the first interface alternate with both bulk in and bulk out
+  // endpoints, across all configurations
+  findBulkInterface() {
+    for (const configuration of this.device.configurations) {
+      for (const usbInterface of configuration.interfaces) {
+        for (const alternate of usbInterface.alternates) {
+          const inEndpoint = alternate.endpoints.find(
+            (ep) => ep.direction === "in" && ep.type === "bulk",
+          );
+          const outEndpoint = alternate.endpoints.find(
+            (ep) => ep.direction === "out" && ep.type === "bulk",
+          );
+
+          if (inEndpoint && outEndpoint) {
+            return {
+              configuration,
+              usbInterface,
+              alternate,
+              inEndpoint,
+              outEndpoint,
+            };
+          }
+        }
+      }
+    }
+    return null;
+  }
+
+  // CDC-ACM printers only start talking once DTR is raised on the control
+  // interface. If the OS serial driver holds that interface we leave it be.
+  async activateSerialLine(configuration) {
+    const controlInterface = configuration.interfaces.find(
+      (usbInterface) =>
+        usbInterface.alternate.interfaceClass === USB_CLASS_CDC_CONTROL,
+    );
+    if (!controlInterface) {
+      return;
+    }
+
+    try {
+      await this.device.claimInterface(controlInterface.interfaceNumber);
+      this.controlInterface = controlInterface;
+      await this.device.controlTransferOut({
+        requestType: "class",
+        recipient: "interface",
+        request: CDC_SET_CONTROL_LINE_STATE,
+        value: 0x01,
+        index: controlInterface.interfaceNumber,
+      });
+    } catch (error) {
+      console.warn("Could not claim CDC control interface:", error);
+    }
+  }
+
   async write(data) {
-    if (!this.device || !this.endpoint) {
+    if (!this.device || !this.outEndpoint) {
       throw new Error("Device not connected");
     }
 
     const result = await this.device.transferOut(
-      this.endpoint.endpointNumber,
+      this.outEndpoint.endpointNumber,
       data,
     );
     return result.bytesWritten;
   }
 
   async read(length) {
-    if (!this.device) {
+    if (!this.device || !this.inEndpoint) {
       throw new Error("Device not connected");
     }
 
-    // Find bulk in endpoint
-    const usbInterface = this.device.configuration.interfaces[0];
-    const inEndpoint = usbInterface.alternate.endpoints.find(
-      (ep) => ep.direction === "in" && ep.type === "bulk",
-    );
-
-    if (!inEndpoint) {
-      throw new Error("No input endpoint found");
-    }
-
     const result = await this.device.transferIn(
-      inEndpoint.endpointNumber,
+      this.inEndpoint.endpointNumber,
       length,
     );
     return result.data.buffer;
   }
 
   async disconnect() {
+    if (navigator.usb) {
+      navigator.usb.removeEventListener("disconnect", this.handleUsbDisconnect);
+    }
+
     if (this.device) {
       try {
-        await this.device.releaseInterface(0);
+        for (const usbInterface of [this.usbInterface, this.controlInterface]) {
+          if (usbInterface && usbInterface.claimed) {
+            await this.device.releaseInterface(usbInterface.interfaceNumber);
+          }
+        }
         await this.device.close();
       } catch (error) {
         console.warn("Error during disconnect:", error);
       }
-      this.device = null;
     }
+    this.reset();
+  }
+
+  reset() {
+    this.device = null;
+    this.usbInterface = null;
+    this.controlInterface = null;
+    this.inEndpoint = null;
+    this.outEndpoint = null;
   }
 }
 
+// Niimbot printers expose a serial-style GATT service with a single
+// characteristic used for both writes and notifications
+const NIIMBOT_BLE_SERVICE_UUID = "e7810a71-73ae-499d-8c15-faa9aef0c3f2";
+const NIIMBOT_BLE_NAME_PREFIXES = [
+  "B1",
+  "B21",
+  "B203",
+  "D11",
+  "D110",
+  "Niimbot",
+];
+
 // WebBluetooth Transport
 class WebBluetoothTransport extends BaseTransport {
-  constructor() {
+  constructor(options = {}) {
     super();
+    this.kind = "bluetooth";
+    const { mtu = 185, readTimeout = 100 } = options;
+
     this.device = null;
     this.server = null;
     this.service = null;
     this.characteristic = null;
+    this.receiveQueue = new ReceiveQueue();
+    this.readTimeout = readTimeout;
+    // ATT payload is the MTU minus the 3-byte opcode/handle header
+    this.chunkSize = mtu - 3;
+
+    this.handleNotification = (event) => {
+      const value = event.target.value;
+      this.receiveQueue.push(
+        new Uint8Array(
+          value.buffer,
+          value.byteOffset,
+          value.byteLength,
+        ).slice(),
+      );
+    };
+    this.handleDisconnected = () => {
+      this.reset();
+      this.notifyDisconnect();
+    };
   }
 
   async connect() {
     try {
-      // Request Bluetooth device
       this.device = await navigator.bluetooth.requestDevice({
-        filters: [
-          { namePrefix: "Niimbot" },
-          // Add more specific filters
-        ],
-        optionalServices: [
-          // Add the specific service UUIDs used by your printer
-          "0000180f-0000-1000-8000-00805f9b34fb", // Example service UUID
-        ],
+        filters: NIIMBOT_BLE_NAME_PREFIXES.map((namePrefix) => ({
+          namePrefix,
+        })),
+        optionalServices: [NIIMBOT_BLE_SERVICE_UUID],
       });
+      this.device.addEventListener(
+        "gattserverdisconnected",
+        this.handleDisconnected,
+      );
 
       console.log("Connecting to GATT Server...");
       this.server = await this.device.gatt.connect();
 
-      // Get the service - you'll need to determine the correct service UUID
-      this.service = await this.server.getPrimaryService(
-        "0000180f-0000-1000-8000-00805f9b34fb",
-      );
+      await this.discoverCharacteristic();
 
-      // Get the characteristic - you'll need to determine the correct characteristic UUID
-      this.characteristic = await this.service.getCharacteristic(
-        "00002a19-0000-1000-8000-00805f9b34fb",
+      await this.characteristic.startNotifications();
+      this.characteristic.addEventListener(
+        "characteristicvaluechanged",
+        this.handleNotification,
       );
 
       console.log("WebBluetooth connected successfully");
     } catch (error) {
       console.error("WebBluetooth connection failed:", error);
+      await this.disconnect();
       throw error;
     }
   }
 
+  // Find the characteristic that supports write-without-response and notify,
+  // preferring the known Niimbot service
+  async discoverCharacteristic() {
+    const services = await this.server.getPrimaryServices();
+    services.sort(
+      (a, b) =>
+        (b.uuid === NIIMBOT_BLE_SERVICE_UUID) -
+        (a.uuid === NIIMBOT_BLE_SERVICE_UUID),
+    );
+
+    for (const service of services) {
+      const characteristics = await service.getCharacteristics();
+      const match = characteristics.find(
+        (c) => c.properties.writeWithoutResponse && c.properties.notify,
+      );
+
+      if (match) {
+        this.service = service;
+        this.characteristic = match;
+        return;
+      }
+    }
+
+    throw new Error("No compatible printer characteristic found");
+  }
+
   async write(data) {
     if (!this.characteristic) {
       throw new Error("Device not connected");
     }
 
-    await this.characteristic.writeValue(data);
+    let offset = 0;
+    while (offset < data.length) {
+      const chunk = data.slice(offset, offset + this.chunkSize);
+      try {
+        await this.characteristic.writeValueWithoutResponse(chunk);
+      } catch (error) {
+        // The negotiated MTU may be smaller than assumed; fall back to the
+        // BLE minimum and retry this chunk
+        if (this.chunkSize <= 20) {
+          throw error;
+        }
+        console.warn("BLE write failed, reducing chunk size:", error);
+        this.chunkSize = 20;
+        continue;
+      }
+      offset += chunk.length;
+    }
+
+    return data.length;
   }
 
   async read(length) {
@@ -225,11 +570,22 @@ class WebBluetoothTransport extends BaseTransport {
       throw new Error("Device not connected");
     }
 
-    const value = await this.characteristic.readValue();
-    return value.buffer;
+    return this.receiveQueue.take(length, this.readTimeout);
   }
 
   async disconnect() {
+    if (this.device) {
+      this.device.removeEventListener(
+        "gattserverdisconnected",
+        this.handleDisconnected,
+      );
+    }
+    if (this.characteristic) {
+      this.characteristic.removeEventListener(
+        "characteristicvaluechanged",
+        this.handleNotification,
+      );
+    }
     if (this.server && this.server.connected) {
       try {
         this.server.disconnect();
@@ -237,6 +593,11 @@ class WebBluetoothTransport extends BaseTransport {
         console.warn("Error during Bluetooth disconnect:", error);
       }
     }
+    this.reset();
+  }
+
+  reset() {
+    this.receiveQueue.clear();
     this.device = null;
     this.server = null;
     this.service = null;
@@ -244,74 +605,141 @@ class WebBluetoothTransport extends BaseTransport {
   }
 }
 
-// Printer configurations
-const PRINTER_CONFIGS = {
-  b1: {
-    name: "B1",
-    maxWidth: 384,
-    maxDensity: 5,
-    supportedWidths: [384],
-    labelTypes: {
-      1: { name: "Continuous", width: 384, minHeight: 10, maxHeight: 2000 },
-      2: { name: "Gap", width: 384, minHeight: 10, maxHeight: 2000 },
-      3: { name: "Perforated", width: 384, minHeight: 10, maxHeight: 2000 },
-    },
-  },
-  b18: {
-    name: "B18",
-    maxWidth: 384,
-    maxDensity: 3,
-    supportedWidths: [384],
-    labelTypes: {
-      1: { name: "Continuous", width: 384, minHeight: 10, maxHeight: 2000 },
-      2: { name: "Gap", width: 384, minHeight: 10, maxHeight: 2000 },
-    },
-  },
-  b21: {
-    name: "B21",
-    maxWidth: 384,
-    maxDensity: 5,
-    supportedWidths: [384],
-    labelTypes: {
-      1: { name: "Continuous", width: 384, minHeight: 10, maxHeight: 4000 },
-      2: { name: "Gap", width: 384, minHeight: 10, maxHeight: 4000 },
-      3: { name: "Perforated", width: 384, minHeight: 10, maxHeight: 4000 },
-    },
-  },
-  d11: {
-    name: "D11",
-    maxWidth: 96,
-    maxDensity: 3,
-    supportedWidths: [96],
-    labelTypes: {
-      1: { name: "Continuous", width: 96, minHeight: 10, maxHeight: 1000 },
-      2: { name: "Gap", width: 96, minHeight: 10, maxHeight: 1000 },
-    },
-  },
-  d110: {
-    name: "D110",
-    maxWidth: 96,
-    maxDensity: 3,
-    supportedWidths: [96],
-    labelTypes: {
-      1: { name: "Continuous", width: 96, minHeight: 10, maxHeight: 1000 },
-      2: { name: "Gap", width: 96, minHeight: 10, maxHeight: 1000 },
-    },
-  },
-  // Add more printer models as needed
-  b203: {
-    name: "B203",
-    maxWidth: 576,
-    maxDensity: 5,
-    supportedWidths: [576, 384, 288],
-    labelTypes: {
-      1: { name: "Continuous", width: 576, minHeight: 10, maxHeight: 3000 },
-      2: { name: "Gap", width: 576, minHeight: 10, maxHeight: 3000 },
-      3: { name: "Round 25mm", width: 236, height: 236 },
-      4: { name: "Round 32mm", width: 302, height: 302 },
-    },
-  },
-};
+// Web Serial Transport, for printers that enumerate as a USB CDC serial port
+class WebSerialTransport extends BaseTransport {
+  constructor(options = {}) {
+    super();
+    this.kind = "serial";
+    const { baudRate = 115200, readTimeout = 100 } = options;
+
+    this.baudRate = baudRate;
+    this.readTimeout = readTimeout;
+    this.port = null;
+    this.reader = null;
+    this.writer = null;
+    this.readLoop = null;
+    this.closing = false;
+    this.receiveQueue = new ReceiveQueue();
+
+    this.handleSerialDisconnect = (event) => {
+      if (event.target !== this.port) return;
+      navigator.serial.removeEventListener(
+        "disconnect",
+        this.handleSerialDisconnect,
+      );
+      this.closing = true;
+      this.reset();
+      this.notifyDisconnect();
+    };
+  }
+
+  async connect() {
+    try {
+      this.port = await navigator.serial.requestPort({
+        filters: [{ usbVendorId: NIIMBOT_USB_VENDOR_ID }],
+      });
+      await this.port.open({ baudRate: this.baudRate });
+
+      this.closing = false;
+      this.writer = this.port.writable.getWriter();
+      this.readLoop = this.runReader();
+
+      navigator.serial.addEventListener(
+        "disconnect",
+        this.handleSerialDisconnect,
+      );
+
+      console.log("Web Serial connected successfully");
+    } catch (error) {
+      console.error("Web Serial connection failed:", error);
+      await this.disconnect();
+      throw error;
+    }
+  }
+
+  // Continuously move incoming bytes into the receive queue. A new reader is
+  // taken after recoverable errors such as framing or buffer overruns.
+  async runReader() {
+    while (this.port && this.port.readable && !this.closing) {
+      this.reader = this.port.readable.getReader();
+      try {
+        while (true) {
+          const { value, done } = await this.reader.read();
+          if (done) break;
+          if (value && value.length > 0) {
+            this.receiveQueue.push(value);
+          }
+        }
+      } catch (error) {
+        if (!this.closing) {
+          console.warn("Serial read error:", error);
+        }
+      } finally {
+        if (this.reader) {
+          this.reader.releaseLock();
+          this.reader = null;
+        }
+      }
+    }
+  }
+
+  async write(data) {
+    if (!this.writer) {
+      throw new Error("Device not connected");
+    }
+
+    await this.writer.write(data);
+    return data.length;
+  }
+
+  async read(length) {
+    if (!this.port) {
+      throw new Error("Device not connected");
+    }
+
+    return this.receiveQueue.take(length, this.readTimeout);
+  }
+
+  async disconnect() {
+    this.closing = true;
+    if (navigator.serial) {
+      navigator.serial.removeEventListener(
+        "disconnect",
+        this.handleSerialDisconnect,
+      );
+    }
+
+    try {
+      if (this.reader) {
+        await this.reader.cancel();
+      }
+      if (this.readLoop) {
+        await this.readLoop;
+      }
+      if (this.writer) {
+        this.writer.releaseLock();
+      }
+      if (this.port) {
+        await this.port.close();
+      }
+    } catch (error) {
+      console.warn("Error during serial disconnect:", error);
+    }
+    this.reset();
+  }
+
+  reset() {
+    this.receiveQueue.clear();
+    this.port = null;
+    this.reader = null;
+    this.writer = null;
+    this.readLoop = null;
+  }
+}
+
+// Printer configurations, kept under the historical name. Models live in
+// printerModels.js; register new ones there.
+const PRINTER_CONFIGS = PRINTER_MODELS;
 
 // Common label sizes (in pixels at 203 DPI)
 const COMMON_LABEL_SIZES = {
@@ -338,141 +766,378 @@ const COMMON_LABEL_SIZES = {
   custom: { width: null, height: null, name: "Custom Size" },
 };
 
+// Common sizes that fit across the model's printhead. Sizes without a width
+// take the full printhead.
+function getSupportedLabelSizes(config) {
+  const supported = [];
+  const maxWidth = config.maxWidth;
+
+  for (const [key, size] of Object.entries(COMMON_LABEL_SIZES)) {
+    if (size.width && size.width <= maxWidth) {
+      supported.push({ key, ...size });
+    } else if (!size.width) {
+      // Continuous labels
+      supported.push({ key, ...size, width: maxWidth });
+    }
+  }
+
+  return supported;
+}
+
+// Problems that stop a label of width x height dots (as it lies on the
+// printhead) printing on the model. Height is optional for continuous labels.
+function validateDimensions(config, width, height) {
+  const errors = [];
+
+  if (width > config.maxWidth) {
+    errors.push(
+      `Width ${width}px exceeds maximum ${config.maxWidth}px for ${config.name}`,
+    );
+  }
+
+  if (width < 10) {
+    errors.push("Width must be at least 10px");
+  }
+
+  if (height && height < 10) {
+    errors.push("Height must be at least 10px");
+  }
+
+  if (height && height > config.maxHeight) {
+    errors.push(
+      `Height ${height}px exceeds maximum ${config.maxHeight}px for ${config.name}`,
+    );
+  }
+
+  return errors;
+}
+
+// Narrower labels print fine, but models that take several roll widths
+// print best on one of them. Returns a hint, or null when there's nothing
+// to suggest.
+function getWidthHint(config, width) {
+  const widths = config.supportedWidths;
+  if (widths.length < 2 || widths.includes(width)) {
+    return null;
+  }
+  const closest = widths.reduce((prev, curr) =>
+    Math.abs(curr - width) < Math.abs(prev - width) ? curr : prev,
+  );
+  return `Width ${width}px not directly supported. Closest supported width: ${closest}px`;
+}
+
 // Printer Client
 class PrinterClient {
   constructor(transport, printerModel = "b21") {
     this.transport = transport;
-    this.packetBuffer = new Uint8Array();
+    this.packetBuffer = new PacketBuffer();
+    this.waiters = [];
+    this.isReading = false;
+    this.responseTimeout = 2000;
+    // How long print status may show no progress before a print fails
+    this.printStallTimeout = 15000;
     this.printerModel = printerModel;
     this.config = PRINTER_CONFIGS[printerModel];
     if (!this.config) {
       throw new Error(`Unsupported printer model: ${printerModel}`);
     }
+    // Reported by detectModel(); picks the print protocol with the model
+    this.firmwareVersion = null;
+    // Forced protocol name, or null to follow the model and firmware
+    this.protocolOverride = null;
   }
 
   getConfig() {
     return this.config;
   }
 
-  getSupportedLabelSizes() {
-    const supported = [];
-    const maxWidth = this.config.maxWidth;
-
-    for (const [key, size] of Object.entries(COMMON_LABEL_SIZES)) {
-      if (size.width && size.width <= maxWidth) {
-        supported.push({ key, ...size });
-      } else if (!size.width) {
-        // Continuous labels
-        supported.push({ key, ...size, width: maxWidth });
-      }
+  // Also checked against the open connection, so a detected or picked model
+  // that can't use it is refused rather than printed to
+  setPrinterModel(printerModel) {
+    const config = PRINTER_CONFIGS[printerModel];
+    if (!config) {
+      throw new Error(`Unsupported printer model: ${printerModel}`);
     }
-
-    return supported;
+    checkTransport(config, this.transport);
+    this.printerModel = printerModel;
+    this.config = config;
   }
 
-  validateDimensions(width, height) {
-    const errors = [];
-
-    if (width > this.config.maxWidth) {
-      errors.push(
-        `Width ${width}px exceeds maximum ${this.config.maxWidth}px for ${this.config.name}`,
-      );
-    }
+  // Name of the print task printPages will use (see printTasks.js)
+  getProtocol() {
+    return (
+      this.protocolOverride ||
+      resolveProtocol(this.config, this.firmwareVersion)
+    );
+  }
 
-    if (width < 10) {
-      errors.push("Width must be at least 10px");
+  setProtocol(protocol) {
+    if (protocol && !PRINT_TASKS[protocol]) {
+      throw new Error(`Unknown print protocol: ${protocol}`);
     }
+    this.protocolOverride = protocol || null;
+  }
 
-    if (height && height < 10) {
-      errors.push("Height must be at least 10px");
+  // Identify the connected printer from its device info. Returns the matching
+  // PRINTER_CONFIGS key (null if unknown) along with the raw info.
+  async detectModel() {
+    const deviceType = await this.getInfo(8);
+    let softVersion = null;
+    let hardVersion = null;
+    try {
+      softVersion = await this.getInfo(9);
+      hardVersion = await this.getInfo(12);
+    } catch (error) {
+      console.warn("Could not read firmware versions:", error);
     }
+    this.firmwareVersion = softVersion;
+
+    return {
+      model: findModelByDeviceType(deviceType),
+      deviceType,
+      softVersion,
+      hardVersion,
+    };
+  }
 
-    // Check if width is supported
-    if (!this.config.supportedWidths.includes(width)) {
-      const closest = this.config.supportedWidths.reduce((prev, curr) =>
-        Math.abs(curr - width) < Math.abs(prev - width) ? curr : prev,
-      );
-      errors.push(
-        `Width ${width}px not directly supported. Closest supported width: ${closest}px`,
-      );
-    }
+  getSupportedLabelSizes() {
+    return getSupportedLabelSizes(this.config);
+  }
 
-    return errors;
+  validateDimensions(width, height) {
+    return validateDimensions(this.config, width, height);
   }
 
   async connect() {
+    checkTransport(this.config, this.transport);
     await this.transport.connect();
   }
 
   async disconnect() {
+    for (const waiter of [...this.waiters]) {
+      this.cancelWaiter(waiter, new Error("Printer disconnected"));
+    }
+    this.packetBuffer.clear();
     await this.transport.disconnect();
   }
 
   async printImage(imageCanvas, options = {}) {
     const {
-      density = 3,
-      labelType = 1,
       copies = 1,
       targetWidth = null,
       targetHeight = null,
       maintainAspectRatio = true,
       centerImage = true,
+      ...printOptions
     } = options;
 
-    try {
-      // Validate dimensions
-      const finalWidth = targetWidth || imageCanvas.width;
-      const finalHeight = targetHeight || imageCanvas.height;
-      const errors = this.validateDimensions(finalWidth, finalHeight);
+    const render = () => {
+      if (!targetWidth && !targetHeight) {
+        return imageCanvas;
+      }
+      return this.resizeCanvas(imageCanvas, {
+        targetWidth: targetWidth || imageCanvas.width,
+        targetHeight: targetHeight || imageCanvas.height,
+        maintainAspectRatio,
+        centerImage,
+      });
+    };
 
+    return this.printPages([{ render, copies }], printOptions);
+  }
+
+  // Print several pages in one session. Each page is { canvas, copies }, or
+  // { render, copies } to draw the canvas only when the page is reached so a
+  // long batch doesn't hold every page in memory. On failure the error gets a
+  // `pagesCompleted` count so the caller can resume after the last good page.
+  // Canvases are in reading orientation; `rotate` (clockwise degrees) adds
+  // to the model's print direction and `mirror` flips them left to right.
+  // offsetX/offsetY nudge the print across and along the feed, and `gap`
+  // feeds that many blank rows after each page (all in dots).
+  async printPages(pages, options = {}) {
+    const {
+      density = 3,
+      labelType = 1,
+      dithering = "threshold",
+      threshold = 128,
+      compress = true,
+      pageColor = 0,
+      rotate = 0,
+      mirror = false,
+      offsetX = 0,
+      offsetY = 0,
+      gap = 0,
+      onProgress = null,
+      signal = null,
+    } = options;
+
+    if (pages.length === 0) {
+      throw new Error("Nothing to print");
+    }
+
+    const totalCopies = pages.reduce((sum, page) => sum + page.copies, 0);
+    const progress = {
+      phase: "prepare",
+      page: 0,
+      totalPages: pages.length,
+      rowsSent: 0,
+      totalRows: 0,
+      copies: totalCopies,
+      copiesCompleted: 0,
+    };
+    const report = (changes) => {
+      Object.assign(progress, changes);
+      if (onProgress) onProgress({ ...progress });
+    };
+
+    const rotation = getPrintRotation(this.config, rotate);
+
+    // Size checks apply to the page as it lies on the printhead, with the
+    // gap fed after it
+    const preparePage = async (page) => {
+      const canvas = page.canvas || (await page.render());
+      const size = orientedSize(canvas.width, canvas.height, rotation);
+      const errors = this.validateDimensions(size.width, size.height + gap);
       if (errors.length > 0) {
         throw new Error(`Dimension validation failed: ${errors.join(", ")}`);
       }
+      return { canvas, width: size.width, height: size.height + gap };
+    };
 
-      // Resize canvas if needed
-      let printCanvas = imageCanvas;
-      if (targetWidth || targetHeight) {
-        printCanvas = this.resizeCanvas(imageCanvas, {
-          targetWidth: finalWidth,
-          targetHeight: finalHeight,
-          maintainAspectRatio,
-          centerImage,
-        });
-      }
+    const task = createPrintTask(this.getProtocol(), this);
+    let sessionStarted = false;
+    let pageStarted = false;
+    let pagesCompleted = 0;
 
+    try {
+      // Check the first page before touching the printer
+      let printPage = await preparePage(pages[0]);
+      report({ totalRows: printPage.height });
+      signal?.throwIfAborted();
+
+      report({ phase: "density" });
       await this.setLabelDensity(density);
+      report({ phase: "labelType" });
       await this.setLabelType(labelType);
-      await this.startPrint();
-      await this.startPagePrint();
+      signal?.throwIfAborted();
 
-      await this.setDimension(printCanvas.height, printCanvas.width);
+      report({ phase: "startPrint" });
+      await task.startPrint({
+        totalPages: pages.length,
+        totalCopies,
+        pageColor,
+      });
+      sessionStarted = true;
+
+      const stats = {
+        pages: 0,
+        rows: 0,
+        packets: 0,
+        bytesSent: 0,
+        bytesSaved: 0,
+      };
+
+      for (let index = 0; index < pages.length; index++) {
+        const { copies } = pages[index];
+        if (index > 0) {
+          printPage = await preparePage(pages[index]);
+        }
+        signal?.throwIfAborted();
 
-      if (copies > 1) {
-        await this.setQuantity(copies);
-      }
+        report({
+          phase: "startPage",
+          page: index,
+          rowsSent: 0,
+          totalRows: printPage.height,
+        });
+        await this.startPagePrint();
+        pageStarted = true;
+
+        report({ phase: "dimension" });
+        await task.setPageSize(printPage.height, printPage.width, copies);
+
+        // Encode and send image data
+        report({ phase: "data" });
+        const bytesBefore = stats.bytesSent;
+        for await (const packet of this.encodeImage(printPage.canvas, {
+          mode: dithering,
+          threshold,
+          compress,
+          rotation,
+          mirror,
+          offsetX,
+          offsetY,
+          gap,
+        })) {
+          signal?.throwIfAborted();
+          stats.packets++;
+          stats.bytesSent += packet.data.length + 7;
+          await this.send(packet);
+          report({ rowsSent: progress.rowsSent + rowsInPacket(packet) });
+        }
 
-      // Encode and send image data
-      for await (const packet of this.encodeImage(printCanvas)) {
-        await this.send(packet);
+        // Against one full 0x85 packet per row: 7 framing + 6 header bytes
+        const uncompressedBytes =
+          printPage.height * (Math.ceil(printPage.width / 8) + 13);
+        stats.bytesSaved += uncompressedBytes - (stats.bytesSent - bytesBefore);
+        stats.rows += printPage.height;
+
+        report({ phase: "endPage" });
+        await this.endPagePrint();
+        pageStarted = false;
+        pagesCompleted++;
+        stats.pages++;
       }
 
-      await this.endPagePrint();
-
-      // Wait a bit then end print
-      await new Promise((resolve) => setTimeout(resolve, 300));
+      report({ phase: "endPrint" });
+      await task.waitForFinish({
+        totalCopies,
+        onCopies: (copiesCompleted) => report({ copiesCompleted }),
+        signal,
+      });
+      sessionStarted = false;
 
-      let printEnded = false;
-      while (!printEnded) {
-        printEnded = await this.endPrint();
-        if (!printEnded) {
-          await new Promise((resolve) => setTimeout(resolve, 100));
+      report({ phase: "done", copiesCompleted: totalCopies });
+      console.log(
+        `Print completed successfully (${stats.pages} pages, ${stats.packets} packets, ${stats.bytesSaved} bytes saved)`,
+      );
+      return stats;
+    } catch (error) {
+      if (sessionStarted) {
+        await this.abortPrint(pageStarted);
+      }
+      if (error && typeof error === "object") {
+        // Pages are only done once all their copies came out
+        if (error.copiesCompleted !== undefined) {
+          let copiesLeft = error.copiesCompleted;
+          pagesCompleted = 0;
+          for (const page of pages) {
+            copiesLeft -= page.copies;
+            if (copiesLeft < 0) break;
+            pagesCompleted++;
+          }
         }
+        error.pagesCompleted = pagesCompleted;
+      }
+      if (error.name === "AbortError") {
+        report({ phase: "cancelled" });
+        console.log("Print cancelled");
+      } else {
+        console.error("Print failed:", error);
       }
+      throw error;
+    }
+  }
 
-      console.log("Print completed successfully");
+  // Best-effort cleanup so the printer isn't left waiting for page data
+  async abortPrint(pageStarted) {
+    try {
+      if (pageStarted) {
+        await this.endPagePrint();
+      }
+      await this.endPrint();
     } catch (error) {
-      console.error("Print failed:", error);
-      throw error;
+      console.warn("Could not end the print session cleanly:", error);
     }
   }
 
@@ -531,52 +1196,84 @@ class PrinterClient {
     return newCanvas;
   }
 
-  async *encodeImage(canvas) {
+  // Rows are sent in print orientation: `rotation` (clockwise, already
+  // including the model's print direction) and `mirror` are applied to the
+  // 1-bit image so dithering patterns stay as previewed, then the offsets
+  // and gap of printPages
+  async *encodeImage(canvas, options = {}) {
+    const { compress = true, rotation = 0, mirror = false } = options;
     const ctx = canvas.getContext("2d");
     const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-    const { width, height, data } = imageData;
 
+    // Convert pixels to 1-bit data
+    const oriented = orientBitmap(
+      ditherImage(imageData, options),
+      imageData.width,
+      imageData.height,
+      { rotation, mirror },
+    );
+    const { bits, width, height } = placeBitmap(
+      oriented.bits,
+      oriented.width,
+      oriented.height,
+      options,
+    );
+
+    // Pack bits into bytes
+    const rows = [];
     for (let y = 0; y < height; y++) {
-      const lineData = [];
-
-      // Convert pixels to 1-bit data
-      for (let x = 0; x < width; x++) {
-        const pixelIndex = (y * width + x) * 4;
-        const r = data[pixelIndex];
-        const g = data[pixelIndex + 1];
-        const b = data[pixelIndex + 2];
-
-        // Convert to grayscale and threshold
-        const grayscale = (r + g + b) / 3;
-        lineData.push(grayscale < 128 ? 1 : 0);
-      }
-
-      // Pack bits into bytes
-      const lineBytes = [];
-      for (let i = 0; i < lineData.length; i += 8) {
-        let byte = 0;
-        for (let bit = 0; bit < 8 && i + bit < lineData.length; bit++) {
-          if (lineData[i + bit]) {
-            byte |= 1 << (7 - bit);
-          }
+      const lineData = bits.subarray(y * width, (y + 1) * width);
+      const lineBytes = new Uint8Array(Math.ceil(width / 8));
+      for (let i = 0; i < lineData.length; i++) {
+        if (lineData[i]) {
+          lineBytes[i >> 3] |= 1 << (7 - (i & 7));
         }
-        lineBytes.push(byte);
       }
+      rows.push(lineBytes);
+    }
 
-      // Create packet header
-      const header = new Uint8Array(6);
-      const view = new DataView(header.buffer);
-      view.setUint16(0, y, false); // big endian
-      view.setUint8(2, 0); // count1
-      view.setUint8(3, 0); // count2
-      view.setUint8(4, 0); // count3
-      view.setUint8(5, 1); // flag
+    let y = 0;
+    while (y < height) {
+      const lineBytes = rows[y];
+
+      // Count how many following rows are identical, up to the 1-byte limit
+      let repeat = 1;
+      if (compress) {
+        while (
+          repeat < 255 &&
+          y + repeat < height &&
+          rowsEqual(rows[y + repeat], lineBytes)
+        ) {
+          repeat++;
+        }
+      }
 
-      const packetData = new Uint8Array(header.length + lineBytes.length);
-      packetData.set(header);
-      packetData.set(lineBytes, header.length);
+      if (compress && lineBytes.every((byte) => byte === 0)) {
+        // Empty row packet: row number and repeat count only
+        const data = new Uint8Array(3);
+        const view = new DataView(data.buffer);
+        view.setUint16(0, y, false);
+        view.setUint8(2, repeat);
+        yield new NiimbotPacket(0x84, data);
+      } else {
+        // Create packet header
+        const counts = countBlackPixels(lineBytes, this.config.printheadWidth);
+        const header = new Uint8Array(6);
+        const view = new DataView(header.buffer);
+        view.setUint16(0, y, false); // big endian
+        view.setUint8(2, counts[0]); // count1
+        view.setUint8(3, counts[1]); // count2
+        view.setUint8(4, counts[2]); // count3
+        view.setUint8(5, repeat); // repeat count
+
+        const packetData = new Uint8Array(header.length + lineBytes.length);
+        packetData.set(header);
+        packetData.set(lineBytes, header.length);
+
+        yield new NiimbotPacket(0x85, packetData);
+      }
 
-      yield new NiimbotPacket(0x85, packetData);
+      y += repeat;
     }
   }
 
@@ -589,26 +1286,87 @@ class PrinterClient {
     const respCode = respOffset + reqCode;
     const packet = new NiimbotPacket(reqCode, data);
 
-    await this.send(packet);
+    // Register before sending so a fast reply cannot be missed
+    const response = this.waitForPacket(respCode);
+    try {
+      await this.send(packet);
+    } catch (error) {
+      response.catch(() => {});
+      this.cancelWaiter(response.waiter, error);
+      throw error;
+    }
 
-    // Simple implementation - in reality you'd want proper packet parsing
-    // and buffering like in the Python version
-    for (let attempt = 0; attempt < 6; attempt++) {
-      try {
-        const response = await this.transport.read(1024);
-        const respPacket = NiimbotPacket.fromBytes(response);
+    return response;
+  }
+
+  waitForPacket(respCode, timeout = this.responseTimeout) {
+    const waiter = { respCode };
+    const promise = new Promise((resolve, reject) => {
+      waiter.resolve = resolve;
+      waiter.reject = reject;
+    });
+
+    waiter.timer = setTimeout(() => {
+      this.cancelWaiter(waiter, new Error("No response received"));
+    }, timeout);
 
-        if (respPacket.type === respCode) {
-          return respPacket;
+    this.waiters.push(waiter);
+    this.readPackets();
+
+    promise.waiter = waiter;
+    return promise;
+  }
+
+  cancelWaiter(waiter, error) {
+    const index = this.waiters.indexOf(waiter);
+    if (index === -1) {
+      return;
+    }
+    this.waiters.splice(index, 1);
+    clearTimeout(waiter.timer);
+    waiter.reject(error);
+  }
+
+  // Single read loop shared by all pending waiters
+  async readPackets() {
+    if (this.isReading) {
+      return;
+    }
+    this.isReading = true;
+
+    try {
+      while (this.waiters.length > 0) {
+        let chunk = null;
+        try {
+          chunk = await this.transport.read(1024);
+        } catch (error) {
+          console.warn("Transport read failed:", error);
         }
-      } catch (error) {
-        console.warn("Transceive attempt failed:", error);
-      }
 
-      await new Promise((resolve) => setTimeout(resolve, 100));
+        if (chunk && chunk.byteLength > 0) {
+          for (const packet of this.packetBuffer.push(chunk)) {
+            this.dispatchPacket(packet);
+          }
+        } else {
+          await new Promise((resolve) => setTimeout(resolve, 100));
+        }
+      }
+    } finally {
+      this.isReading = false;
     }
+  }
 
-    throw new Error("No response received");
+  dispatchPacket(packet) {
+    const index = this.waiters.findIndex(
+      (waiter) => waiter.respCode === packet.type,
+    );
+
+    // Heartbeats and status notifications nobody asked for
+    if (index === -1) return;
+
+    const [waiter] = this.waiters.splice(index, 1);
+    clearTimeout(waiter.timer);
+    waiter.resolve(packet);
   }
 
   // Printer command methods
@@ -622,8 +1380,19 @@ class PrinterClient {
     return packet.data[0] !== 0;
   }
 
-  async startPrint() {
-    const packet = await this.transceive(1, new Uint8Array([1]));
+  // Without options this is the original one-byte start. Newer firmware
+  // takes the number of labels in the job and the page colour.
+  async startPrint(options = null) {
+    let data = new Uint8Array([1]);
+    if (options) {
+      const { totalPages = 1, pageColor = 0 } = options;
+      data = new Uint8Array(7);
+      const view = new DataView(data.buffer);
+      view.setUint16(0, totalPages, false);
+      view.setUint8(6, pageColor);
+    }
+
+    const packet = await this.transceive(1, data);
     return packet.data[0] !== 0;
   }
 
@@ -652,6 +1421,133 @@ class PrinterClient {
     return packet.data[0] !== 0;
   }
 
+  // Extended SET_DIMENSION with the page's copies, for newer firmware
+  async setPageSize(rows, columns, copies) {
+    const data = new Uint8Array(6);
+    const view = new DataView(data.buffer);
+    view.setUint16(0, rows, false);
+    view.setUint16(2, columns, false);
+    view.setUint16(4, copies, false);
+
+    const packet = await this.transceive(19, data);
+    return packet.data[0] !== 0;
+  }
+
+  async getPrintStatus() {
+    const packet = await this.transceive(163, new Uint8Array([1]), 16);
+    const view = new DataView(
+      packet.data.buffer,
+      packet.data.byteOffset,
+      packet.data.byteLength,
+    );
+    return {
+      page: view.getUint16(0, false),
+      progress1: view.getUint8(2),
+      progress2: view.getUint8(3),
+    };
+  }
+
+  // Lid, battery, paper and RFID state. The payload layout depends on the
+  // model, so fields that a printer doesn't report are left null.
+  async heartbeat() {
+    const packet = await this.transceive(220, new Uint8Array([1]));
+    const data = packet.data;
+    let closingState = null;
+    let powerLevel = null;
+    let paperState = null;
+    let rfidReadState = null;
+
+    switch (data.length) {
+      case 20:
+        paperState = data[18];
+        rfidReadState = data[19];
+        break;
+      case 13:
+        closingState = data[9];
+        powerLevel = data[10];
+        paperState = data[11];
+        rfidReadState = data[12];
+        break;
+      case 19:
+        closingState = data[15];
+        powerLevel = data[16];
+        paperState = data[17];
+        rfidReadState = data[18];
+        break;
+      case 10:
+        closingState = data[8];
+        powerLevel = data[9];
+        break;
+      case 9:
+        closingState = data[8];
+        break;
+    }
+
+    return {
+      lidClosed: closingState === null ? null : closingState === 0,
+      batteryLevel: powerLevel,
+      paperPresent: paperState === null ? null : paperState === 0,
+      rfidRead: rfidReadState === null ? null : rfidReadState === 0,
+    };
+  }
+
+  // Consumable info from the label roll's RFID tag, or null without one
+  async getRfid() {
+    const packet = await this.transceive(26, new Uint8Array([1]));
+    const data = packet.data;
+    if (data.length === 0 || data[0] === 0) {
+      return null;
+    }
+
+    const decoder = new TextDecoder();
+    const uuid = Array.from(data.slice(0, 8))
+      .map((b) => b.toString(16).padStart(2, "0"))
+      .join("");
+    let index = 8;
+
+    const barcodeLength = data[index++];
+    const barcode = decoder.decode(data.slice(index, index + barcodeLength));
+    index += barcodeLength;
+
+    const serialLength = data[index++];
+    const serial = decoder.decode(data.slice(index, index + serialLength));
+    index += serialLength;
+
+    const view = new DataView(data.buffer, data.byteOffset + index);
+    const totalLabels = view.getUint16(0, false);
+    const usedLabels = view.getUint16(2, false);
+    const labelType = view.getUint8(4);
+
+    return {
+      uuid,
+      barcode,
+      serial,
+      totalLabels,
+      usedLabels,
+      remainingLabels: Math.max(0, totalLabels - usedLabels),
+      labelType,
+    };
+  }
+
+  // Combined snapshot for status displays; unsupported queries come back null
+  async getStatus() {
+    const status = { heartbeat: null, rfid: null };
+
+    try {
+      status.heartbeat = await this.heartbeat();
+    } catch (error) {
+      console.warn("Heartbeat failed:", error);
+    }
+
+    try {
+      status.rfid = await this.getRfid();
+    } catch (error) {
+      console.warn("RFID read failed:", error);
+    }
+
+    return status;
+  }
+
   async getInfo(key) {
     const packet = await this.transceive(64, new Uint8Array([key]), key);
     if (packet) {
@@ -691,6 +1587,53 @@ class PrinterClient {
 }
 
 // Utility functions
+function rowsEqual(a, b) {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return false;
+  }
+  return true;
+}
+
+// Models list the transports they can use; the mock has no kind and fits all
+function checkTransport(config, transport) {
+  const { kind } = transport;
+  if (kind && !config.transports.includes(kind)) {
+    throw new Error(
+      `${config.name} can't connect over ${TRANSPORTS[kind].name}`,
+    );
+  }
+}
+
+// Image rows covered by a 0x84 or 0x85 packet
+function rowsInPacket(packet) {
+  return Math.max(1, packet.type === 0x84 ? packet.data[2] : packet.data[5]);
+}
+
+// Black dots under each third of the printhead, as the printer expects in
+// the bitmap row header. A third with more than 255 dots doesn't fit a byte,
+// so the header carries the big-endian row total after a zero byte instead.
+function countBlackPixels(lineBytes, printheadWidth) {
+  const counts = [0, 0, 0];
+  const partSize = printheadWidth / 8 / 3;
+  let total = 0;
+
+  for (let i = 0; i < lineBytes.length; i++) {
+    let byte = lineBytes[i];
+    let bitsSet = 0;
+    while (byte) {
+      bitsSet += byte & 1;
+      byte >>= 1;
+    }
+    counts[Math.min(Math.floor(i / partSize), 2)] += bitsSet;
+    total += bitsSet;
+  }
+
+  if (counts.some((count) => count > 255)) {
+    return [0, total >> 8, total & 0xff];
+  }
+  return counts;
+}
+
 function mmToPx(mm, dpi = 203) {
   return Math.round((mm * dpi) / 25.4);
 }
@@ -702,11 +1645,20 @@ function pxToMm(px, dpi = 203) {
 // Usage example
 export {
   NiimbotPacket,
+  PacketBuffer,
+  ReceiveQueue,
+  BaseTransport,
   WebUSBTransport,
   WebBluetoothTransport,
+  WebSerialTransport,
   PrinterClient,
   PRINTER_CONFIGS,
   COMMON_LABEL_SIZES,
+  getSupportedLabelSizes,
+  validateDimensions,
+  getWidthHint,
+  countBlackPixels,
+  findModelByDeviceType,
   mmToPx,
   pxToMm,
 };
@@ -0,0 +1,960 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import {
+  NiimbotPacket,
+  PacketBuffer,
+  PrinterClient,
+  WebBluetoothTransport,
+  WebSerialTransport,
+  WebUSBTransport,
+  countBlackPixels,
+  getWidthHint,
+} from "./printerController.js";
+import { MockPrinterTransport } from "./mockPrinterTransport.js";
+import { getPrinterModel } from "./printerModels.js";
+
+// Minimal stand-in for an HTMLCanvasElement backed by RGBA pixels
+function createCanvas(width, height, fill = 255) {
+  const data = new Uint8ClampedArray(width * height * 4).fill(fill);
+  const calls = [];
+  const context = {
+    fillStyle: null,
+    getImageData: () => ({ width, height, data }),
+    fillRect: (...args) => calls.push(["fillRect", ...args]),
+    drawImage: (...args) => calls.push(["drawImage", ...args]),
+  };
+
+  return {
+    width,
+    height,
+    data,
+    calls,
+    getContext: () => context,
+    setPixel(x, y, value) {
+      const i = (y * width + x) * 4;
+      data[i] = data[i + 1] = data[i + 2] = value;
+    },
+  };
+}
+
+// A client connected to a fresh mock printer
+async function connectMock(model = "b1", options = {}) {
+  const transport = new MockPrinterTransport(options);
+  const client = new PrinterClient(transport, model);
+  await client.connect();
+  return { transport, client };
+}
+
+// Print jobs report on the console. Keeps that out of the test output while
+// leaving the spies to assert on.
+function silenceConsole() {
+  const spies = {};
+  beforeEach(() => {
+    spies.log = vi.spyOn(console, "log").mockImplementation(() => {});
+    spies.error = vi.spyOn(console, "error").mockImplementation(() => {});
+  });
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+  return spies;
+}
+
+async function collect(iterator) {
+  const items = [];
+  for await (const item of iterator) {
+    items.push(item);
+  }
+  return items;
+}
+
+describe("NiimbotPacket", () => {
+  it("round-trips through toBytes and fromBytes", () => {
+    const packet = new NiimbotPacket(0x85, [1, 2, 3, 250]);
+    const decoded = NiimbotPacket.fromBytes(packet.toBytes());
+
+    expect(decoded.type).toBe(0x85);
+    expect(Array.from(decoded.data)).toEqual([1, 2, 3, 250]);
+  });
+
+  it("frames data with header, length, checksum and footer", () => {
+    const bytes = new NiimbotPacket(33, [3]).toBytes();
+
+    expect(Array.from(bytes)).toEqual([
+      0x55,
+      0x55,
+      33,
+      1,
+      3,
+      33 ^ 1 ^ 3,
+      0xaa,
+      0xaa,
+    ]);
+  });
+
+  it("round-trips an empty payload", () => {
+    const decoded = NiimbotPacket.fromBytes(new NiimbotPacket(1, []).toBytes());
+
+    expect(decoded.type).toBe(1);
+    expect(decoded.data.length).toBe(0);
+  });
+
+  it("rejects a bad header", () => {
+    const bytes = new NiimbotPacket(1, [1]).toBytes();
+    bytes[0] = 0x54;
+
+    expect(() => NiimbotPacket.fromBytes(bytes)).toThrow(
+      "Invalid packet header",
+    );
+  });
+
+  it("rejects a bad footer", () => {
+    const bytes = new NiimbotPacket(1, [1]).toBytes();
+    bytes[bytes.length - 1] = 0;
+
+    expect(() => NiimbotPacket.fromBytes(bytes)).toThrow(
+      "Invalid packet footer",
+    );
+  });
+
+  it("rejects a checksum mismatch", () => {
+    const bytes = new NiimbotPacket(1, [1, 2]).toBytes();
+    bytes[bytes.length - 3] ^= 0x01;
+
+    expect(() => NiimbotPacket.fromBytes(bytes)).toThrow("Checksum mismatch");
+  });
+});
+
+describe("PacketBuffer", () => {
+  it("reassembles a packet split across chunks", () => {
+    const buffer = new PacketBuffer();
+    const bytes = new NiimbotPacket(49, [1]).toBytes();
+
+    expect(buffer.push(bytes.slice(0, 3))).toEqual([]);
+    const packets = buffer.push(bytes.slice(3));
+
+    expect(packets).toHaveLength(1);
+    expect(packets[0].type).toBe(49);
+    expect(buffer.length).toBe(0);
+  });
+
+  it("splits concatenated packets", () => {
+    const buffer = new PacketBuffer();
+    const first = new NiimbotPacket(2, [1]).toBytes();
+    const second = new NiimbotPacket(4, [1, 2]).toBytes();
+    const joined = new Uint8Array([...first, ...second]);
+
+    expect(buffer.push(joined).map((p) => p.type)).toEqual([2, 4]);
+  });
+
+  it("discards garbage and resyncs on the next header", () => {
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    const buffer = new PacketBuffer();
+    const good = new NiimbotPacket(20, [1]).toBytes();
+    const broken = new NiimbotPacket(22, [1]).toBytes();
+    broken[broken.length - 3] ^= 0xff;
+
+    const packets = buffer.push(
+      new Uint8Array([0x00, 0x55, 0x13, ...broken, 0xaa, ...good]),
+    );
+
+    expect(packets.map((p) => p.type)).toEqual([20]);
+    expect(buffer.length).toBe(0);
+  });
+});
+
+describe("PrinterClient image handling", () => {
+  const client = new PrinterClient(new MockPrinterTransport(), "b1");
+
+  it("packs odd widths MSB first with a zero-padded last byte", async () => {
+    const canvas = createCanvas(10, 1);
+    canvas.setPixel(0, 0, 0);
+    canvas.setPixel(7, 0, 0);
+    canvas.setPixel(9, 0, 0);
+
+    const [packet] = await collect(client.encodeImage(canvas));
+
+    expect(packet.type).toBe(0x85);
+    expect(Array.from(packet.data.slice(6))).toEqual([0b10000001, 0b01000000]);
+  });
+
+  it("thresholds grayscale at 128", async () => {
+    const canvas = createCanvas(2, 1);
+    canvas.setPixel(0, 0, 127);
+    canvas.setPixel(1, 0, 128);
+
+    const [packet] = await collect(client.encodeImage(canvas));
+
+    expect(packet.data[6]).toBe(0b10000000);
+  });
+
+  it("writes a big-endian row number header on every row", async () => {
+    const canvas = createCanvas(8, 300);
+    const packets = await collect(
+      client.encodeImage(canvas, { compress: false }),
+    );
+
+    expect(packets).toHaveLength(300);
+    expect(Array.from(packets[299].data.slice(0, 6))).toEqual([
+      1, 43, 0, 0, 0, 1,
+    ]);
+  });
+
+  it("fills the header with black dot counts per third of the printhead", async () => {
+    const canvas = createCanvas(384, 1);
+    for (const x of [0, 1, 128, 256, 257, 383]) {
+      canvas.setPixel(x, 0, 0);
+    }
+
+    const [packet] = await collect(client.encodeImage(canvas));
+
+    expect(Array.from(packet.data.slice(2, 6))).toEqual([2, 1, 3, 1]);
+  });
+
+  it("counts a narrow, offset row against the printhead thirds", async () => {
+    const canvas = createCanvas(200, 1);
+    for (const x of [0, 10, 40]) {
+      canvas.setPixel(x, 0, 0);
+    }
+
+    // Dots land at 150, 160 and 190, all in the middle third of 384
+    const [packet] = await collect(
+      client.encodeImage(canvas, { offsetX: 150 }),
+    );
+
+    expect(Array.from(packet.data.slice(2, 6))).toEqual([0, 3, 0, 1]);
+  });
+
+  it("sends the row total when a third holds more than 255 dots", () => {
+    const row = new Uint8Array(96).fill(0xff);
+
+    expect(countBlackPixels(row, 1152)).toEqual([0, 3, 0]);
+    expect(countBlackPixels(row.subarray(0, 4), 1152)).toEqual([32, 0, 0]);
+  });
+
+  it("collapses blank and repeated rows", async () => {
+    const canvas = createCanvas(16, 10);
+    for (const y of [3, 4, 5]) {
+      canvas.setPixel(2, y, 0);
+    }
+
+    const packets = await collect(client.encodeImage(canvas));
+
+    expect(packets.map((p) => [p.type, ...p.data.slice(0, 3)])).toEqual([
+      [0x84, 0, 0, 3],
+      [0x85, 0, 3, 1],
+      [0x84, 0, 6, 4],
+    ]);
+    expect(packets[1].data[5]).toBe(3);
+  });
+
+  it("validates width against the model", () => {
+    expect(client.validateDimensions(384, 240)).toEqual([]);
+    expect(client.validateDimensions(400, 240)).toContain(
+      "Width 400px exceeds maximum 384px for B1",
+    );
+    expect(client.validateDimensions(5, 5)).toEqual(
+      expect.arrayContaining([
+        "Width must be at least 10px",
+        "Height must be at least 10px",
+      ]),
+    );
+    // Narrower labels print; models with several roll widths get a hint
+    expect(client.validateDimensions(240, 4000)).toEqual([
+      "Height 4000px exceeds maximum 2000px for B1",
+    ]);
+    expect(getWidthHint(getPrinterModel("b203"), 320)).toBe(
+      "Width 320px not directly supported. Closest supported width: 302px",
+    );
+    expect(getWidthHint(getPrinterModel("b1"), 320)).toBe(null);
+  });
+
+  describe("resizeCanvas", () => {
+    afterEach(() => {
+      vi.unstubAllGlobals();
+    });
+
+    it("fits and centers while keeping the aspect ratio", () => {
+      let created;
+      vi.stubGlobal("document", {
+        createElement: () => (created = createCanvas(0, 0)),
+      });
+      const source = createCanvas(100, 50);
+
+      const result = client.resizeCanvas(source, {
+        targetWidth: 384,
+        targetHeight: 240,
+      });
+
+      expect(result).toBe(created);
+      expect([result.width, result.height]).toEqual([384, 240]);
+      expect(result.calls).toEqual([
+        ["fillRect", 0, 0, 384, 240],
+        ["drawImage", source, 0, 24, 384, 192],
+      ]);
+    });
+
+    it("scales to width and derives the height", () => {
+      vi.stubGlobal("document", { createElement: () => createCanvas(0, 0) });
+
+      const result = client.resizeCanvas(createCanvas(100, 50), {
+        targetWidth: 200,
+      });
+
+      expect([result.width, result.height]).toEqual([200, 100]);
+    });
+  });
+});
+
+describe("PrinterClient print flow", () => {
+  const output = silenceConsole();
+
+  it("emits the print command sequence in order", async () => {
+    const { transport, client } = await connectMock();
+
+    const canvas = createCanvas(384, 12);
+    canvas.setPixel(0, 1, 0);
+    await client.printImage(canvas, { density: 4, labelType: 2, copies: 2 });
+
+    const types = transport.receivedPackets.map((p) => p.type);
+    expect(types).toEqual([
+      33, 35, 1, 3, 19, 21, 0x84, 0x85, 0x84, 227, 163, 243,
+    ]);
+    expect(transport.density).toBe(4);
+    expect(transport.labelType).toBe(2);
+    expect(transport.quantity).toBe(2);
+    expect(output.log).toHaveBeenCalledWith(
+      "Print completed successfully (1 pages, 3 packets, 651 bytes saved)",
+    );
+
+    const page = transport.getPageImage();
+    expect([page.width, page.height]).toEqual([384, 12]);
+    expect(page.pixels[384]).toBe(1);
+    expect(page.pixels.reduce((sum, bit) => sum + bit, 0)).toBe(1);
+  });
+
+  it("prints the same image with and without compression", async () => {
+    const canvas = createCanvas(384, 40);
+    for (let y = 10; y < 30; y++) {
+      for (let x = 100; x < 200; x += y % 3 === 0 ? 1 : 7) {
+        canvas.setPixel(x, y, 0);
+      }
+    }
+
+    const results = [];
+    for (const compress of [false, true]) {
+      const { transport, client } = await connectMock();
+      const stats = await client.printImage(canvas, { compress });
+      expect(transport.rowErrors).toEqual([]);
+      results.push({ stats, page: transport.getPageImage() });
+    }
+
+    expect(results[1].page).toEqual(results[0].page);
+    expect(results[0].stats.bytesSaved).toBe(0);
+    expect(results[1].stats.bytesSaved).toBeGreaterThan(1000);
+    expect(results[1].stats.bytesSent).toBe(
+      results[0].stats.bytesSent - results[1].stats.bytesSaved,
+    );
+  });
+
+  it("polls endPrint until the printer reports completion", async () => {
+    const { transport, client } = await connectMock("b1", {
+      endPrintBusyCount: 3,
+    });
+
+    await client.printImage(createCanvas(384, 10));
+
+    const endPrints = transport.receivedPackets.filter((p) => p.type === 243);
+    expect(endPrints).toHaveLength(4);
+    expect(transport.printing).toBe(false);
+  });
+
+  it("reports phases, rows and copies as the job progresses", async () => {
+    const { client } = await connectMock("b1", {
+      endPrintBusyCount: 2,
+    });
+    const updates = [];
+
+    const canvas = createCanvas(384, 20);
+    canvas.setPixel(5, 10, 0);
+    await client.printImage(canvas, {
+      copies: 3,
+      onProgress: (progress) => updates.push(progress),
+    });
+
+    const phases = [...new Set(updates.map((u) => u.phase))];
+    expect(phases).toEqual([
+      "prepare",
+      "density",
+      "labelType",
+      "startPrint",
+      "startPage",
+      "dimension",
+      "data",
+      "endPage",
+      "endPrint",
+      "done",
+    ]);
+    const rows = updates
+      .filter((u) => u.phase === "data")
+      .map((u) => u.rowsSent);
+    expect(rows).toEqual([0, 10, 11, 20]);
+    expect(
+      updates.every((u) => u.totalRows === 20 || u.phase === "prepare"),
+    ).toBe(true);
+    const copies = updates
+      .filter((u) => u.phase === "endPrint")
+      .map((u) => u.copiesCompleted);
+    expect(copies).toEqual([0, 1, 2, 3]);
+  });
+
+  it("cancels a job and closes the page and print session", async () => {
+    const { transport, client } = await connectMock();
+    const controller = new AbortController();
+
+    const canvas = createCanvas(384, 20);
+    for (let y = 0; y < 20; y++) {
+      canvas.setPixel(y, y, 0);
+    }
+    const job = client.printImage(canvas, {
+      signal: controller.signal,
+      onProgress: ({ rowsSent }) => {
+        if (rowsSent === 5) controller.abort();
+      },
+    });
+
+    await expect(job).rejects.toMatchObject({ name: "AbortError" });
+    const types = transport.receivedPackets.map((p) => p.type);
+    expect(types.filter((type) => type === 0x85)).toHaveLength(5);
+    expect(types.slice(-2)).toEqual([227, 243]);
+    expect(transport.printing).toBe(false);
+    expect(output.log).toHaveBeenCalledWith("Print cancelled");
+  });
+
+  it("prints several pages with their own copies in one session", async () => {
+    const { transport, client } = await connectMock();
+    const rendered = [];
+
+    const pages = [1, 3, 1].map((copies, index) => ({
+      copies,
+      render: () => {
+        rendered.push(index);
+        const canvas = createCanvas(384, 10);
+        canvas.setPixel(index, 0, 0);
+        return canvas;
+      },
+    }));
+    const stats = await client.printPages(pages);
+
+    const types = transport.receivedPackets.map((p) => p.type);
+    expect(types.filter((type) => type === 1)).toHaveLength(1);
+    expect(types.filter((type) => type === 3)).toHaveLength(3);
+    expect(
+      transport.receivedPackets
+        .filter((p) => p.type === 21)
+        .map((p) => p.data[1]),
+    ).toEqual([3, 1]);
+    expect(transport.pages.map((page) => page.quantity)).toEqual([1, 3, 1]);
+    expect(transport.getPageImage(2).pixels[2]).toBe(1);
+    expect(rendered).toEqual([0, 1, 2]);
+    expect(stats.pages).toBe(3);
+    expect(stats.rows).toBe(30);
+  });
+
+  it("reports how many pages completed before a failure", async () => {
+    const { transport, client } = await connectMock();
+
+    const pages = [
+      { canvas: createCanvas(384, 10), copies: 1 },
+      { canvas: createCanvas(384, 10), copies: 1 },
+      { canvas: createCanvas(500, 10), copies: 1 },
+    ];
+
+    await expect(client.printPages(pages)).rejects.toMatchObject({
+      message: expect.stringContaining("Dimension validation failed"),
+      pagesCompleted: 2,
+    });
+    expect(transport.pages).toHaveLength(2);
+    expect(transport.printing).toBe(false);
+    expect(output.error).toHaveBeenCalledWith(
+      "Print failed:",
+      expect.objectContaining({ pagesCompleted: 2 }),
+    );
+  });
+
+  it("fails a command whose reply never arrives", async () => {
+    const { transport, client } = await connectMock();
+    client.responseTimeout = 50;
+
+    transport.injectFault("drop");
+
+    await expect(client.setLabelDensity(3)).rejects.toThrow(
+      "No response received",
+    );
+  });
+
+  it("matches replies that arrive in fragments", async () => {
+    const { client } = await connectMock("b1", { maxChunkSize: 3 });
+
+    expect(await client.getInfo(11)).toBe("f1e2d3c4b5a69788");
+    expect(await client.getInfo(9)).toBe(5.68);
+  });
+});
+
+describe("PrinterClient print orientation", () => {
+  const output = silenceConsole();
+
+  it("turns designs onto the printhead of sideways-feeding models", async () => {
+    const { transport, client } = await connectMock("d11");
+
+    // A 200 x 96 label designed in reading orientation
+    const canvas = createCanvas(200, 96);
+    canvas.setPixel(0, 0, 0);
+    canvas.setPixel(199, 95, 0);
+    await client.printImage(canvas);
+
+    const page = transport.getPageImage();
+    expect([page.width, page.height]).toEqual([96, 200]);
+    // Left edge first: the top-left dot ends up at the end of the first row
+    expect(page.pixels[95]).toBe(1);
+    expect(page.pixels[199 * 96]).toBe(1);
+    expect(page.pixels.reduce((sum, bit) => sum + bit, 0)).toBe(2);
+  });
+
+  it("applies an extra rotation and mirroring", async () => {
+    const { transport, client } = await connectMock();
+
+    const canvas = createCanvas(20, 384);
+    canvas.setPixel(0, 0, 0);
+    await client.printImage(canvas, { rotate: 270, mirror: true });
+
+    const page = transport.getPageImage();
+    expect([page.width, page.height]).toEqual([384, 20]);
+    // Mirrored to the top-right corner, then turned back to the top-left
+    expect(page.pixels[0]).toBe(1);
+    expect(page.pixels.reduce((sum, bit) => sum + bit, 0)).toBe(1);
+    await expect(
+      client.printImage(createCanvas(20, 400), { rotate: 90 }),
+    ).rejects.toThrow("Width 400px exceeds maximum 384px for B1");
+    expect(output.error).toHaveBeenCalledTimes(1);
+  });
+
+  it("offsets the print and feeds a gap after each page", async () => {
+    const { transport, client } = await connectMock();
+
+    const canvas = createCanvas(16, 10);
+    canvas.setPixel(0, 0, 0);
+    await client.printImage(canvas, { offsetX: 3, offsetY: 2, gap: 5 });
+
+    const page = transport.getPageImage();
+    expect([page.width, page.height]).toEqual([16, 15]);
+    expect(page.pixels[2 * 16 + 3]).toBe(1);
+    expect(page.pixels.reduce((sum, bit) => sum + bit, 0)).toBe(1);
+
+    // The gap counts towards the longest page the model can feed
+    await expect(
+      client.printImage(createCanvas(16, 1990), { gap: 20 }),
+    ).rejects.toThrow("Height 2010px exceeds maximum 2000px for B1");
+    expect(output.error).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe("PrinterClient print protocols", () => {
+  const output = silenceConsole();
+
+  it("uses the extended start and page size packets on v5 firmware", async () => {
+    const { transport, client } = await connectMock("b1", {
+      info: { 9: 5.68 },
+    });
+    await client.detectModel();
+    expect(client.getProtocol()).toBe("v5");
+
+    const pages = [2, 1].map((copies) => ({
+      canvas: createCanvas(384, 10),
+      copies,
+    }));
+    await client.printPages(pages, { pageColor: 2 });
+
+    const packets = transport.receivedPackets;
+    const types = packets.map((p) => p.type);
+    expect(types).not.toContain(21);
+    expect(packets.find((p) => p.type === 1).data).toHaveLength(7);
+    expect([transport.totalPages, transport.pageColor]).toEqual([3, 2]);
+    expect(
+      packets.filter((p) => p.type === 19).map((p) => p.data.length),
+    ).toEqual([6, 6]);
+    expect(transport.pages.map((page) => page.quantity)).toEqual([2, 1]);
+
+    // Every label is confirmed printed before the session is ended once
+    expect(types.filter((type) => type === 163)).toHaveLength(3);
+    expect(types.filter((type) => type === 243)).toHaveLength(1);
+    expect(types.at(-1)).toBe(243);
+    expect(transport.printing).toBe(false);
+  });
+
+  it("fails when the print status stops counting", async () => {
+    const { transport, client } = await connectMock("b1", {
+      info: { 9: 5.68 },
+      jamAfter: 2,
+    });
+    client.printStallTimeout = 50;
+    await client.detectModel();
+
+    const pages = [2, 1, 1].map((copies) => ({
+      canvas: createCanvas(384, 10),
+      copies,
+    }));
+    const error = await client.printPages(pages).catch((error) => error);
+
+    expect(error.message).toBe("Printer stopped after 2 of 4 labels");
+    // Only the first page had all of its copies come out
+    expect(error.pagesCompleted).toBe(1);
+    expect(transport.receivedPackets.at(-1).type).toBe(243);
+    expect(output.error).toHaveBeenCalledWith("Print failed:", error);
+  });
+
+  it("keeps the original packets for older firmware and other models", async () => {
+    const { transport, client } = await connectMock("b1", { info: { 9: 4.2 } });
+    await client.detectModel();
+    expect(client.getProtocol()).toBe("legacy");
+
+    await client.printImage(createCanvas(384, 10), { copies: 2 });
+    expect(transport.receivedPackets.find((p) => p.type === 1).data).toEqual(
+      new Uint8Array([1]),
+    );
+
+    client.setPrinterModel("d11");
+    client.firmwareVersion = 5.68;
+    expect(client.getProtocol()).toBe("legacy");
+  });
+
+  it("can be forced to a protocol", () => {
+    const client = new PrinterClient(new MockPrinterTransport(), "b21");
+
+    client.setProtocol("v5");
+    expect(client.getProtocol()).toBe("v5");
+    client.setProtocol(null);
+    expect(client.getProtocol()).toBe("legacy");
+    expect(() => client.setProtocol("v9")).toThrow(
+      "Unknown print protocol: v9",
+    );
+  });
+});
+
+describe("WebBluetoothTransport", () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  function createBluetooth() {
+    const listeners = {};
+    const writes = [];
+    const characteristic = {
+      properties: { writeWithoutResponse: true, notify: true },
+      startNotifications: vi.fn(async () => {}),
+      addEventListener: (name, handler) => (listeners[name] = handler),
+      removeEventListener: vi.fn(),
+      writeValueWithoutResponse: async (chunk) => writes.push(chunk),
+    };
+    const batteryLevel = {
+      properties: { writeWithoutResponse: false, notify: true },
+    };
+    const services = [
+      {
+        uuid: "0000180f-0000-1000-8000-00805f9b34fb",
+        getCharacteristics: async () => [batteryLevel],
+      },
+      {
+        uuid: "e7810a71-73ae-499d-8c15-faa9aef0c3f2",
+        getCharacteristics: async () => [characteristic],
+      },
+    ];
+    const device = {
+      addEventListener: vi.fn(),
+      removeEventListener: vi.fn(),
+      gatt: {
+        connect: async () => ({
+          connected: true,
+          getPrimaryServices: async () => services,
+          disconnect: vi.fn(),
+        }),
+      },
+    };
+    vi.stubGlobal("navigator", {
+      bluetooth: { requestDevice: async () => device },
+    });
+    vi.spyOn(console, "log").mockImplementation(() => {});
+
+    return { characteristic, listeners, writes };
+  }
+
+  it("subscribes to the write/notify characteristic and queues notifications", async () => {
+    const { characteristic, listeners } = createBluetooth();
+    const transport = new WebBluetoothTransport();
+    await transport.connect();
+
+    expect(transport.characteristic).toBe(characteristic);
+    expect(characteristic.startNotifications).toHaveBeenCalled();
+
+    const reply = new NiimbotPacket(49, [1]).toBytes();
+    listeners.characteristicvaluechanged({
+      target: { value: new DataView(reply.buffer) },
+    });
+
+    expect(new Uint8Array(await transport.read(1024))).toEqual(reply);
+  });
+
+  it("chunks writes to the MTU payload size", async () => {
+    const { writes } = createBluetooth();
+    const transport = new WebBluetoothTransport({ mtu: 23 });
+    await transport.connect();
+
+    await transport.write(new Uint8Array(45));
+
+    expect(writes.map((chunk) => chunk.length)).toEqual([20, 20, 5]);
+  });
+});
+
+describe("WebUSBTransport", () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  function createUsbDevice() {
+    const controlInterface = {
+      interfaceNumber: 0,
+      claimed: false,
+      alternate: { interfaceClass: 0x02, endpoints: [] },
+      alternates: [
+        {
+          alternateSetting: 0,
+          interfaceClass: 0x02,
+          endpoints: [
+            { direction: "in", type: "interrupt", endpointNumber: 3 },
+          ],
+        },
+      ],
+    };
+    const dataInterface = {
+      interfaceNumber: 1,
+      claimed: false,
+      alternate: { interfaceClass: 0x0a },
+      alternates: [
+        {
+          alternateSetting: 0,
+          interfaceClass: 0x0a,
+          endpoints: [
+            { direction: "in", type: "bulk", endpointNumber: 1 },
+            { direction: "out", type: "bulk", endpointNumber: 2 },
+          ],
+        },
+      ],
+    };
+    const configuration = {
+      configurationValue: 1,
+      interfaces: [controlInterface, dataInterface],
+    };
+
+    return {
+      configuration: null,
+      configurations: [configuration],
+      open: vi.fn(async () => {}),
+      close: vi.fn(async () => {}),
+      selectConfiguration: vi.fn(async function () {
+        this.configuration = configuration;
+      }),
+      claimInterface: vi.fn(async (number) => {
+        configuration.interfaces[number].claimed = true;
+      }),
+      releaseInterface: vi.fn(async () => {}),
+      controlTransferOut: vi.fn(async () => ({ status: "ok" })),
+      transferOut: vi.fn(async (endpoint, data) => ({
+        bytesWritten: data.length,
+      })),
+      transferIn: vi.fn(async () => ({
+        data: new DataView(new ArrayBuffer(0)),
+      })),
+    };
+  }
+
+  function stubUsb(device) {
+    const listeners = {};
+    vi.stubGlobal("navigator", {
+      usb: {
+        requestDevice: vi.fn(async () => device),
+        addEventListener: (name, handler) => (listeners[name] = handler),
+        removeEventListener: (name) => delete listeners[name],
+      },
+    });
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    return listeners;
+  }
+
+  it("finds the bulk data interface and raises DTR on the CDC control interface", async () => {
+    const device = createUsbDevice();
+    stubUsb(device);
+    const transport = new WebUSBTransport();
+    await transport.connect();
+
+    expect(navigator.usb.requestDevice).toHaveBeenCalledWith({
+      filters: expect.arrayContaining([{ vendorId: 0x3513 }]),
+    });
+    expect(device.selectConfiguration).toHaveBeenCalledWith(1);
+    expect(device.claimInterface).toHaveBeenCalledWith(1);
+    expect(device.controlTransferOut).toHaveBeenCalledWith(
+      expect.objectContaining({ request: 0x22, value: 0x01, index: 0 }),
+    );
+
+    await transport.write(new Uint8Array(4));
+    await transport.read(64);
+    expect(device.transferOut).toHaveBeenCalledWith(2, expect.anything());
+    expect(device.transferIn).toHaveBeenCalledWith(1, 64);
+  });
+
+  it("reports the device being unplugged", async () => {
+    const device = createUsbDevice();
+    const listeners = stubUsb(device);
+    const transport = new WebUSBTransport();
+    transport.onDisconnect = vi.fn();
+    await transport.connect();
+
+    listeners.disconnect({ device });
+
+    expect(transport.onDisconnect).toHaveBeenCalled();
+    expect(transport.device).toBe(null);
+    await expect(transport.write(new Uint8Array(1))).rejects.toThrow(
+      "Device not connected",
+    );
+  });
+});
+
+describe("WebSerialTransport", () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it("feeds the serial stream into reads and releases the port", async () => {
+    let source;
+    const written = [];
+    const port = {
+      readable: new ReadableStream({ start: (c) => (source = c) }),
+      writable: new WritableStream({ write: (chunk) => written.push(chunk) }),
+      open: vi.fn(async () => {}),
+      close: vi.fn(async () => {}),
+    };
+    vi.stubGlobal("navigator", {
+      serial: {
+        requestPort: async () => port,
+        addEventListener: vi.fn(),
+        removeEventListener: vi.fn(),
+      },
+    });
+    vi.spyOn(console, "log").mockImplementation(() => {});
+
+    const transport = new WebSerialTransport({ baudRate: 9600 });
+    await transport.connect();
+    expect(port.open).toHaveBeenCalledWith({ baudRate: 9600 });
+
+    const reply = new NiimbotPacket(2, [1]).toBytes();
+    source.enqueue(reply.slice(0, 4));
+    source.enqueue(reply.slice(4));
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    expect(new Uint8Array(await transport.read(1024))).toEqual(reply);
+
+    await transport.write(new Uint8Array([1, 2]));
+    expect(written).toHaveLength(1);
+
+    await transport.disconnect();
+    expect(port.close).toHaveBeenCalled();
+    expect(port.readable.locked).toBe(false);
+  });
+});
+
+describe("PrinterClient status queries", () => {
+  it("decodes heartbeat lid, battery and paper state", async () => {
+    const { client } = await connectMock("b1", {
+      lidOpen: true,
+      batteryLevel: 2,
+      paperPresent: false,
+    });
+
+    expect(await client.heartbeat()).toEqual({
+      lidClosed: false,
+      batteryLevel: 2,
+      paperPresent: false,
+      rfidRead: false,
+    });
+  });
+
+  it("leaves paper and RFID state unknown in the 10-byte heartbeat", async () => {
+    const { client } = await connectMock("b1", {
+      heartbeatLength: 10,
+      lidOpen: true,
+      batteryLevel: 3,
+    });
+
+    expect(await client.heartbeat()).toEqual({
+      lidClosed: false,
+      batteryLevel: 3,
+      paperPresent: null,
+      rfidRead: null,
+    });
+  });
+
+  it("reads the label roll RFID tag", async () => {
+    const { client } = await connectMock("b1", {
+      rfid: {
+        uuid: "0102030405060708",
+        barcode: "6972842743589",
+        serial: "PZ1G3021302113",
+        totalLabels: 230,
+        usedLabels: 30,
+        labelType: 1,
+      },
+    });
+
+    expect(await client.getRfid()).toEqual({
+      uuid: "0102030405060708",
+      barcode: "6972842743589",
+      serial: "PZ1G3021302113",
+      totalLabels: 230,
+      usedLabels: 30,
+      remainingLabels: 200,
+      labelType: 1,
+    });
+  });
+
+  it("returns null without an RFID label", async () => {
+    const { client } = await connectMock();
+
+    expect(await client.getRfid()).toBe(null);
+  });
+});
+
+describe("PrinterClient model detection", () => {
+  it("maps the reported device type to a model config", async () => {
+    const { client } = await connectMock("b21", {
+      info: { 8: 2304 },
+    });
+
+    const detected = await client.detectModel();
+    expect(detected).toEqual({
+      model: "d110",
+      deviceType: 2304,
+      softVersion: 5.68,
+      hardVersion: 5.1,
+    });
+
+    client.setPrinterModel(detected.model);
+    expect(client.getConfig().name).toBe("D110");
+  });
+
+  it("reports unknown device types without a model", async () => {
+    const { client } = await connectMock("b21", {
+      info: { 8: 9999 },
+    });
+
+    expect((await client.detectModel()).model).toBe(null);
+    expect(() => client.setPrinterModel("x9")).toThrow(
+      "Unsupported printer model: x9",
+    );
+  });
+});
@@ -0,0 +1,200 @@
+// printerModels.js - Capability registry for supported Niimbot printers
+
+// Registered models keyed by id ("b1", "d11", ...). Exported as a live object
+// so models registered at runtime are visible everywhere it's used.
+const PRINTER_MODELS = {};
+
+// Called after a model is registered, so pickers can list it
+const modelListeners = new Set();
+
+// Ways of connecting, in the order offered when a model has no preference
+const TRANSPORTS = {
+  usb: { name: "USB" },
+  bluetooth: { name: "Bluetooth" },
+  serial: { name: "Serial" },
+};
+
+const DEFAULT_LABEL_TYPES = {
+  1: { name: "Continuous" },
+  2: { name: "Gap" },
+};
+
+// Round the printable width down to half millimetres so the editor never
+// offers more than the printhead can burn
+function dotsToMm(dots, dpi) {
+  return Math.floor(((dots * 25.4) / dpi) * 2) / 2;
+}
+
+// Add or replace a model. Only name and printheadWidth are required; the rest
+// falls back to the defaults shared by most Niimbot printers.
+function registerPrinterModel(key, spec) {
+  if (!key || !spec || !spec.name || !spec.printheadWidth) {
+    throw new Error("Printer model needs a key, name and printheadWidth");
+  }
+
+  const {
+    name,
+    modelIds = [],
+    dpi = 203,
+    printheadWidth,
+    density = {},
+    labelTypes = DEFAULT_LABEL_TYPES,
+    maxHeight = 2000,
+    supportedWidths = [printheadWidth],
+    printDirection = "top",
+    safeMargin = 1,
+    protocol = "legacy",
+    firmwareProtocols = [],
+    transports = ["usb", "bluetooth", "serial"],
+  } = spec;
+
+  const unknown = transports.find((transport) => !TRANSPORTS[transport]);
+  if (unknown) {
+    throw new Error(`Unknown transport for ${name}: ${unknown}`);
+  }
+
+  const densityRange = { min: 1, max: 3, default: 3, ...density };
+  densityRange.default = Math.min(densityRange.default, densityRange.max);
+
+  const model = {
+    key,
+    name,
+    modelIds,
+    dpi,
+    printheadWidth,
+    printheadWidthMM: dotsToMm(printheadWidth, dpi),
+    density: densityRange,
+    labelTypes: Object.fromEntries(
+      Object.entries(labelTypes).map(([type, info]) => [
+        type,
+        { width: printheadWidth, minHeight: 10, maxHeight, ...info },
+      ]),
+    ),
+    maxHeight,
+    supportedWidths,
+    // Edge of the design that leaves the printer first: "top" prints as
+    // designed, "left" means the design is turned 90° onto the printhead
+    printDirection,
+    // Millimetres at each label edge the printer can't reliably reach
+    safeMargin,
+    // Print session protocol (see printTasks.js), switched by firmware
+    // version: each { minFirmware, protocol } applies from that version on
+    protocol,
+    firmwareProtocols: [...firmwareProtocols].sort(
+      (a, b) => a.minFirmware - b.minFirmware,
+    ),
+    // Connections the model supports, preferred first
+    transports,
+
+    // Names used by PrinterClient and the editor
+    maxWidth: printheadWidth,
+    maxWidthMM: dotsToMm(printheadWidth, dpi),
+    maxDensity: densityRange.max,
+  };
+
+  PRINTER_MODELS[key] = model;
+  for (const listener of modelListeners) {
+    listener(model);
+  }
+  return model;
+}
+
+// Returns a function that stops listening
+function onPrinterModelRegistered(listener) {
+  modelListeners.add(listener);
+  return () => modelListeners.delete(listener);
+}
+
+function getPrinterModel(key) {
+  return PRINTER_MODELS[key] || null;
+}
+
+function listPrinterModels() {
+  return Object.values(PRINTER_MODELS);
+}
+
+function findModelByDeviceType(deviceType) {
+  const model = listPrinterModels().find((m) =>
+    m.modelIds.includes(deviceType),
+  );
+  return model ? model.key : null;
+}
+
+// Built-in models. Device type codes are what getInfo(8) reports.
+registerPrinterModel("b1", {
+  name: "B1",
+  modelIds: [4096],
+  printheadWidth: 384,
+  density: { max: 5 },
+  labelTypes: {
+    ...DEFAULT_LABEL_TYPES,
+    3: { name: "Perforated" },
+  },
+  firmwareProtocols: [{ minFirmware: 5, protocol: "v5" }],
+});
+
+registerPrinterModel("b18", {
+  name: "B18",
+  modelIds: [3584],
+  printheadWidth: 120,
+  printDirection: "left",
+  safeMargin: 0.5,
+});
+
+registerPrinterModel("b21", {
+  name: "B21",
+  modelIds: [768, 769, 770, 771, 775, 776, 777, 778, 785],
+  printheadWidth: 384,
+  density: { max: 5 },
+  maxHeight: 4000,
+  labelTypes: {
+    ...DEFAULT_LABEL_TYPES,
+    3: { name: "Perforated" },
+  },
+  firmwareProtocols: [{ minFirmware: 5, protocol: "v5" }],
+});
+
+registerPrinterModel("d11", {
+  name: "D11",
+  modelIds: [512],
+  printheadWidth: 96,
+  maxHeight: 1000,
+  printDirection: "left",
+  safeMargin: 0.5,
+  transports: ["bluetooth"],
+});
+
+registerPrinterModel("d110", {
+  name: "D110",
+  modelIds: [2304, 2305],
+  printheadWidth: 96,
+  maxHeight: 1000,
+  printDirection: "left",
+  safeMargin: 0.5,
+  transports: ["bluetooth", "usb", "serial"],
+  firmwareProtocols: [{ minFirmware: 5, protocol: "v5" }],
+});
+
+registerPrinterModel("b203", {
+  name: "B203",
+  modelIds: [2816],
+  printheadWidth: 384,
+  density: { max: 5 },
+  maxHeight: 3000,
+  supportedWidths: [384, 302, 236],
+  labelTypes: {
+    ...DEFAULT_LABEL_TYPES,
+    3: { name: "Round 25mm", width: 236, height: 236, shape: "circle" },
+    4: { name: "Round 32mm", width: 302, height: 302, shape: "circle" },
+  },
+});
+
+export {
+  PRINTER_MODELS,
+  TRANSPORTS,
+  registerPrinterModel,
+  onPrinterModelRegistered,
+  getPrinterModel,
+  listPrinterModels,
+  findModelByDeviceType,
+};
@@ -0,0 +1,119 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import {
+  PRINTER_MODELS,
+  findModelByDeviceType,
+  getPrinterModel,
+  listPrinterModels,
+  onPrinterModelRegistered,
+  registerPrinterModel,
+} from "./printerModels.js";
+import { PRINTER_CONFIGS, PrinterClient } from "./printerController.js";
+import { MockPrinterTransport } from "./mockPrinterTransport.js";
+
+describe("printer model registry", () => {
+  afterEach(() => {
+    delete PRINTER_MODELS.test300;
+  });
+
+  it("derives printable width in mm from dots and DPI", () => {
+    expect(getPrinterModel("b1").printheadWidthMM).toBe(48);
+    expect(getPrinterModel("d11").printheadWidthMM).toBe(12);
+    expect(getPrinterModel("b18").printheadWidthMM).toBe(15);
+  });
+
+  it("keeps a wider unprintable edge on the larger printers", () => {
+    expect(getPrinterModel("b21").safeMargin).toBe(1);
+    expect(getPrinterModel("d110").safeMargin).toBe(0.5);
+    expect(getPrinterModel("b203").labelTypes[3].shape).toBe("circle");
+  });
+
+  it("keeps the names PrinterClient relies on", () => {
+    const b21 = getPrinterModel("b21");
+
+    expect(b21.maxWidth).toBe(384);
+    expect(b21.maxDensity).toBe(5);
+    expect(b21.supportedWidths).toEqual([384]);
+    expect(b21.labelTypes[3]).toEqual({
+      name: "Perforated",
+      width: 384,
+      minHeight: 10,
+      maxHeight: 4000,
+    });
+  });
+
+  it("is the same data PrinterClient uses", () => {
+    expect(PRINTER_CONFIGS).toBe(PRINTER_MODELS);
+    expect(listPrinterModels().map((m) => m.key)).toEqual([
+      "b1",
+      "b18",
+      "b21",
+      "d11",
+      "d110",
+      "b203",
+    ]);
+  });
+
+  it("registers new models at runtime", async () => {
+    const listener = vi.fn();
+    const stop = onPrinterModelRegistered(listener);
+    registerPrinterModel("test300", {
+      name: "Test 300",
+      modelIds: [7777],
+      dpi: 300,
+      printheadWidth: 600,
+      density: { min: 1, max: 7, default: 4 },
+    });
+
+    expect(findModelByDeviceType(7777)).toBe("test300");
+    expect(listener).toHaveBeenCalledWith(
+      expect.objectContaining({ key: "test300" }),
+    );
+    expect(getPrinterModel("test300")).toMatchObject({
+      printheadWidthMM: 50.5,
+      density: { min: 1, max: 7, default: 4 },
+      protocol: "legacy",
+    });
+
+    const client = new PrinterClient(new MockPrinterTransport(), "test300");
+    expect(client.validateDimensions(600, 100)).toEqual([]);
+
+    stop();
+    registerPrinterModel("test300", { name: "Test 300", printheadWidth: 600 });
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+
+  it("rejects incomplete models", () => {
+    expect(() => registerPrinterModel("x", { name: "X" })).toThrow(
+      "Printer model needs a key, name and printheadWidth",
+    );
+    expect(() =>
+      registerPrinterModel("x", {
+        name: "X",
+        printheadWidth: 96,
+        transports: ["nfc"],
+      }),
+    ).toThrow("Unknown transport for X: nfc");
+  });
+
+  it("only connects over the model's transports", async () => {
+    expect(getPrinterModel("d11").transports).toEqual(["bluetooth"]);
+
+    const usb = new MockPrinterTransport();
+    usb.kind = "usb";
+    await expect(new PrinterClient(usb, "d11").connect()).rejects.toThrow(
+      "D11 can't connect over USB",
+    );
+
+    // Detection or a manual pick can't switch an open connection to it either
+    const client = new PrinterClient(usb, "b1");
+    expect(() => client.setPrinterModel("d11")).toThrow(
+      "D11 can't connect over USB",
+    );
+    expect(client.printerModel).toBe("b1");
+
+    const bluetooth = new MockPrinterTransport();
+    bluetooth.kind = "bluetooth";
+    await new PrinterClient(bluetooth, "d11").connect();
+    await bluetooth.disconnect();
+  });
+});
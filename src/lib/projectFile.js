@@ -0,0 +1,226 @@
+// projectFile.js - Saving and loading label designs as .niimbot.json files
+
+import { idbDelete, idbGet, idbPut } from "./idb.js";
+import { normalizeShape } from "./labelShapes.js";
+import { ROTATIONS } from "./orientation.js";
+
+const PROJECT_FORMAT = "niimbot-web-project";
+const PROJECT_VERSION = 2;
+const PROJECT_EXTENSION = ".niimbot.json";
+const DRAFT_KEY = "current";
+
+const DEFAULT_SETTINGS = {
+  label: {
+    widthMM: 40,
+    heightMM: 20,
+    shape: { type: "rectangle" },
+    continuous: false,
+    gapMM: 0,
+    offsetXMM: 0,
+    offsetYMM: 0,
+  },
+  printer: { model: "b1", density: 3, labelType: 1, rotate: 0, mirror: false },
+  dithering: { mode: "threshold", threshold: 128 },
+};
+
+// Upgrades from version N to N + 1, applied in order on load
+const MIGRATIONS = {
+  // Version 0: a bare Fabric canvas export with no label settings
+  0: ({ canvas }) => ({
+    format: PROJECT_FORMAT,
+    version: 1,
+    name: "Imported design",
+    ...structuredClone(DEFAULT_SETTINGS),
+    canvas,
+    fonts: collectFonts(canvas),
+  }),
+  // Version 1: no label shape, continuous rolls, gap and offsets, or print
+  // rotation and mirroring. Older builds would print version 2 files
+  // without them, so they're only written from version 2 on.
+  1: (project) => ({
+    ...project,
+    version: 2,
+    label: { ...structuredClone(DEFAULT_SETTINGS.label), ...project.label },
+    printer: { ...DEFAULT_SETTINGS.printer, ...project.printer },
+  }),
+};
+
+// Font families referenced by text objects, including inside groups
+function collectFonts(canvasJSON) {
+  const fonts = new Set();
+  const visit = (objects = []) => {
+    for (const object of objects) {
+      if (object.fontFamily) fonts.add(object.fontFamily);
+      if (object.objects) visit(object.objects);
+    }
+  };
+  visit(canvasJSON?.objects);
+  return Array.from(fonts).sort();
+}
+
+// Images whose pixels are not embedded in the file and would not reload
+function findExternalImages(canvasJSON) {
+  const external = [];
+  const visit = (objects = []) => {
+    for (const object of objects) {
+      if (object.type?.toLowerCase() === "image" && object.src) {
+        if (!object.src.startsWith("data:")) external.push(object.src);
+      }
+      if (object.objects) visit(object.objects);
+    }
+  };
+  visit(canvasJSON?.objects);
+  return external;
+}
+
+function createProject({
+  name = "Untitled",
+  canvas,
+  label,
+  printer,
+  dithering,
+}) {
+  return {
+    format: PROJECT_FORMAT,
+    version: PROJECT_VERSION,
+    name,
+    savedAt: new Date().toISOString(),
+    label: { ...DEFAULT_SETTINGS.label, ...label },
+    printer: { ...DEFAULT_SETTINGS.printer, ...printer },
+    dithering: { ...DEFAULT_SETTINGS.dithering, ...dithering },
+    canvas,
+    fonts: collectFonts(canvas),
+  };
+}
+
+function serializeProject(project) {
+  const external = findExternalImages(project.canvas);
+  if (external.length > 0) {
+    throw new Error(
+      `${external.length} image(s) are linked rather than embedded and cannot be saved`,
+    );
+  }
+  return JSON.stringify(project, null, 2);
+}
+
+// Validate and upgrade a parsed project (or bare Fabric JSON)
+function migrateProject(data) {
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    throw new Error("Project file is not a JSON object");
+  }
+
+  let project = data;
+  if (project.format !== PROJECT_FORMAT) {
+    if (!Array.isArray(project.objects)) {
+      throw new Error("Not a Niimbot project or Fabric canvas file");
+    }
+    project = { version: 0, canvas: project };
+  }
+
+  if (!Number.isInteger(project.version) || project.version < 0) {
+    throw new Error("Project file has an invalid version");
+  }
+  if (project.version > PROJECT_VERSION) {
+    throw new Error(
+      `Project file version ${project.version} is newer than this app supports (${PROJECT_VERSION})`,
+    );
+  }
+
+  while (project.version < PROJECT_VERSION) {
+    project = MIGRATIONS[project.version](project);
+  }
+
+  validateProject(project);
+  return project;
+}
+
+function validateProject(project) {
+  const errors = [];
+  const isPositive = (value) => typeof value === "number" && value > 0;
+
+  if (!project.canvas || !Array.isArray(project.canvas.objects)) {
+    errors.push("canvas.objects must be an array");
+  }
+  if (!isPositive(project.label?.widthMM)) {
+    errors.push("label.widthMM must be a positive number");
+  }
+  if (!isPositive(project.label?.heightMM)) {
+    errors.push("label.heightMM must be a positive number");
+  }
+  try {
+    normalizeShape(project.label?.shape);
+  } catch (error) {
+    errors.push(`label.shape: ${error.message}`);
+  }
+  if (typeof project.label?.continuous !== "boolean") {
+    errors.push("label.continuous must be true or false");
+  }
+  for (const field of ["gapMM", "offsetXMM", "offsetYMM"]) {
+    if (!Number.isFinite(project.label?.[field])) {
+      errors.push(`label.${field} must be a number`);
+    }
+  }
+  if (typeof project.printer?.model !== "string") {
+    errors.push("printer.model must be a string");
+  }
+  if (!isPositive(project.printer?.density)) {
+    errors.push("printer.density must be a positive number");
+  }
+  if (!ROTATIONS.includes(project.printer?.rotate)) {
+    errors.push("printer.rotate must be 0, 90, 180 or 270");
+  }
+  if (typeof project.printer?.mirror !== "boolean") {
+    errors.push("printer.mirror must be true or false");
+  }
+  if (typeof project.dithering?.mode !== "string") {
+    errors.push("dithering.mode must be a string");
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid project file: ${errors.join(", ")}`);
+  }
+}
+
+function parseProject(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Project file is not valid JSON: ${error.message}`);
+  }
+  return migrateProject(data);
+}
+
+function projectFileName(name) {
+  const base = (name || "label").trim().replace(/[^\w.-]+/g, "_") || "label";
+  return `${base}${PROJECT_EXTENSION}`;
+}
+
+// Working draft kept in IndexedDB so a crash or reload doesn't lose work
+async function saveDraft(project) {
+  await idbPut("drafts", DRAFT_KEY, project);
+}
+
+async function loadDraft() {
+  const draft = await idbGet("drafts", DRAFT_KEY);
+  return draft ? migrateProject(draft) : null;
+}
+
+async function clearDraft() {
+  await idbDelete("drafts", DRAFT_KEY);
+}
+
+export {
+  PROJECT_FORMAT,
+  PROJECT_VERSION,
+  PROJECT_EXTENSION,
+  collectFonts,
+  createProject,
+  serializeProject,
+  parseProject,
+  migrateProject,
+  projectFileName,
+  saveDraft,
+  loadDraft,
+  clearDraft,
+};
@@ -0,0 +1,168 @@
+import { describe, expect, it } from "vitest";
+import {
+  PROJECT_FORMAT,
+  PROJECT_VERSION,
+  collectFonts,
+  createProject,
+  parseProject,
+  projectFileName,
+  serializeProject,
+} from "./projectFile.js";
+
+const canvasJSON = {
+  version: "6.0.0",
+  background: "white",
+  objects: [
+    { type: "IText", text: "Hello", fontFamily: "Roboto" },
+    {
+      type: "Group",
+      objects: [
+        { type: "Textbox", text: "Inner", fontFamily: "Arial" },
+        { type: "Image", src: "data:image/png;base64,AAAA" },
+      ],
+    },
+  ],
+};
+
+describe("project files", () => {
+  it("round-trips the design and print settings", () => {
+    const project = createProject({
+      name: "Shelf label",
+      canvas: canvasJSON,
+      label: { widthMM: 30, heightMM: 15 },
+      printer: {
+        model: "d110",
+        density: 2,
+        labelType: 2,
+        rotate: 180,
+        mirror: true,
+      },
+      dithering: { mode: "atkinson", threshold: 100 },
+    });
+
+    const loaded = parseProject(serializeProject(project));
+
+    expect(loaded.format).toBe(PROJECT_FORMAT);
+    expect(loaded.version).toBe(PROJECT_VERSION);
+    expect(loaded.label).toEqual({
+      widthMM: 30,
+      heightMM: 15,
+      shape: { type: "rectangle" },
+      continuous: false,
+      gapMM: 0,
+      offsetXMM: 0,
+      offsetYMM: 0,
+    });
+    expect(loaded.printer).toEqual({
+      model: "d110",
+      density: 2,
+      labelType: 2,
+      rotate: 180,
+      mirror: true,
+    });
+    expect(loaded.dithering).toEqual({ mode: "atkinson", threshold: 100 });
+    expect(loaded.canvas).toEqual(canvasJSON);
+    expect(loaded.fonts).toEqual(["Arial", "Roboto"]);
+  });
+
+  it("collects fonts from nested groups", () => {
+    expect(collectFonts(canvasJSON)).toEqual(["Arial", "Roboto"]);
+    expect(collectFonts({ objects: [] })).toEqual([]);
+  });
+
+  it("refuses to save images that are only linked", () => {
+    const project = createProject({
+      canvas: {
+        objects: [{ type: "Image", src: "https://example.com/a.png" }],
+      },
+    });
+
+    expect(() => serializeProject(project)).toThrow(/linked/);
+  });
+
+  it("wraps bare Fabric JSON with default settings", () => {
+    const loaded = parseProject(JSON.stringify(canvasJSON));
+
+    expect(loaded.version).toBe(PROJECT_VERSION);
+    expect(loaded.canvas).toEqual(canvasJSON);
+    expect(loaded.label).toMatchObject({ widthMM: 40, heightMM: 20 });
+    expect(loaded.printer.model).toBe("b1");
+  });
+
+  it("fills in settings version 1 files didn't have", () => {
+    const loaded = parseProject(
+      JSON.stringify({
+        format: PROJECT_FORMAT,
+        version: 1,
+        name: "Old label",
+        label: { widthMM: 30, heightMM: 15 },
+        printer: { model: "d110", density: 2, labelType: 2 },
+        dithering: { mode: "threshold", threshold: 128 },
+        canvas: canvasJSON,
+      }),
+    );
+
+    expect(loaded.version).toBe(2);
+    expect(loaded.label).toEqual({
+      widthMM: 30,
+      heightMM: 15,
+      shape: { type: "rectangle" },
+      continuous: false,
+      gapMM: 0,
+      offsetXMM: 0,
+      offsetYMM: 0,
+    });
+    expect(loaded.printer).toMatchObject({ rotate: 0, mirror: false });
+  });
+
+  it("rejects invalid or unsupported files", () => {
+    expect(() => parseProject("{oops")).toThrow(/not valid JSON/);
+    expect(() => parseProject("[]")).toThrow(/not a JSON object/);
+    expect(() => parseProject('{"hello":1}')).toThrow(/Not a Niimbot project/);
+    expect(() =>
+      parseProject(
+        JSON.stringify({
+          format: PROJECT_FORMAT,
+          version: PROJECT_VERSION + 1,
+        }),
+      ),
+    ).toThrow(/newer than this app supports/);
+
+    const broken = createProject({
+      canvas: canvasJSON,
+      label: { widthMM: -5, heightMM: 20 },
+    });
+    expect(() => parseProject(JSON.stringify(broken))).toThrow(
+      /label.widthMM must be a positive number/,
+    );
+
+    const tilted = createProject({
+      canvas: canvasJSON,
+      printer: { rotate: 45 },
+    });
+    expect(() => parseProject(JSON.stringify(tilted))).toThrow(
+      /printer.rotate must be 0, 90, 180 or 270/,
+    );
+
+    const starry = createProject({
+      canvas: canvasJSON,
+      label: { shape: { type: "star" } },
+    });
+    expect(() => parseProject(JSON.stringify(starry))).toThrow(
+      /label.shape: Unknown label shape: star/,
+    );
+
+    const drifting = createProject({
+      canvas: canvasJSON,
+      label: { offsetXMM: "1mm" },
+    });
+    expect(() => parseProject(JSON.stringify(drifting))).toThrow(
+      /label.offsetXMM must be a number/,
+    );
+  });
+
+  it("builds a safe file name", () => {
+    expect(projectFileName("Shelf / Bin 3")).toBe("Shelf_Bin_3.niimbot.json");
+    expect(projectFileName("")).toBe("label.niimbot.json");
+  });
+});
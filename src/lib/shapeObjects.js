@@ -0,0 +1,392 @@
+// shapeObjects.js - Fabric shapes, lines and tables drawn on whole dots
+
+import * as fabric from "fabric";
+import { snapToDots } from "./barcodeObject.js";
+import {
+  SHAPE_COLORS,
+  hardenAlpha,
+  lineEndpoints,
+  normalizeLineWidth,
+  reshapeCells,
+  tableLayout,
+  wrapText,
+} from "./shapes.js";
+
+const SHAPE_DEFAULTS = {
+  shapeKind: "rect",
+  lineWidth: 2,
+  lineColor: "black",
+  fillColor: "none",
+  cornerRadius: 0,
+  lineDirection: "down",
+};
+
+const SHAPE_PROPERTIES = Object.keys(SHAPE_DEFAULTS);
+
+const TABLE_DEFAULTS = {
+  columns: [80, 80],
+  rows: [36, 36],
+  cells: [
+    ["", ""],
+    ["", ""],
+  ],
+  borderWidth: 2,
+  fontFamily: "Arial",
+  fontSize: 18,
+  textAlign: "left",
+  cellPadding: 4,
+};
+
+const TABLE_PROPERTIES = Object.keys(TABLE_DEFAULTS);
+
+// Our own drawing replaces Fabric's fill and stroke, which would add
+// half-dot stroke widths to the bounding box and blur the edges
+const DOT_OBJECT_OPTIONS = {
+  fill: null,
+  stroke: null,
+  strokeWidth: 0,
+  objectCaching: false,
+  lockSkewingX: true,
+  lockSkewingY: true,
+  snapAngle: 90,
+  snapThreshold: 45,
+};
+
+// Draw one colour into its own hardened layer
+function hardenedLayer(width, height, draw) {
+  const layer = document.createElement("canvas");
+  layer.width = width;
+  layer.height = height;
+  const ctx = layer.getContext("2d");
+  draw(ctx);
+  const image = ctx.getImageData(0, 0, width, height);
+  hardenAlpha(image.data);
+  ctx.putImageData(image, 0, 0);
+  return layer;
+}
+
+// Outline of a rectangle or ellipse, pulled in by `inset` so a stroke
+// centred on it stays inside the box
+function traceShape(ctx, shape, width, height, inset) {
+  ctx.beginPath();
+  if (shape.shapeKind === "ellipse") {
+    ctx.ellipse(
+      width / 2,
+      height / 2,
+      Math.max(0, width / 2 - inset),
+      Math.max(0, height / 2 - inset),
+      0,
+      0,
+      Math.PI * 2,
+    );
+    return;
+  }
+  const w = Math.max(0, width - inset * 2);
+  const h = Math.max(0, height - inset * 2);
+  const radius = Math.min(
+    Math.max(0, shape.cornerRadius - inset),
+    w / 2,
+    h / 2,
+  );
+  if (radius > 0 && ctx.roundRect) {
+    ctx.roundRect(inset, inset, w, h, radius);
+  } else {
+    ctx.rect(inset, inset, w, h);
+  }
+}
+
+// Render a shape at one pixel per dot: fill first, then the stroke on top
+function renderShapeElement(shape, width, height) {
+  const element = document.createElement("canvas");
+  element.width = width;
+  element.height = height;
+  const ctx = element.getContext("2d");
+  const lineWidth = normalizeLineWidth(shape.lineWidth, shape.shapeKind);
+  const stroke = SHAPE_COLORS[shape.lineColor]?.css;
+  const fill = SHAPE_COLORS[shape.fillColor]?.css;
+
+  if (fill && shape.shapeKind !== "line") {
+    ctx.drawImage(
+      hardenedLayer(width, height, (layer) => {
+        traceShape(layer, shape, width, height, lineWidth / 2);
+        layer.fillStyle = fill;
+        layer.fill();
+      }),
+      0,
+      0,
+    );
+  }
+
+  if (stroke && lineWidth > 0) {
+    ctx.drawImage(
+      hardenedLayer(width, height, (layer) => {
+        layer.lineWidth = lineWidth;
+        layer.strokeStyle = stroke;
+        if (shape.shapeKind === "line") {
+          const [[x1, y1], [x2, y2]] = lineEndpoints(
+            width,
+            height,
+            lineWidth,
+            shape.lineDirection,
+          );
+          layer.beginPath();
+          layer.moveTo(x1, y1);
+          layer.lineTo(x2, y2);
+        } else {
+          traceShape(layer, shape, width, height, lineWidth / 2);
+        }
+        layer.stroke();
+      }),
+      0,
+      0,
+    );
+  }
+
+  return element;
+}
+
+// Rectangle, rounded box, ellipse or line. Scaling handles resize the box
+// rather than stretch it, so strokes keep their width in dots.
+class LabelShape extends fabric.FabricObject {
+  static type = "LabelShape";
+
+  constructor(options = {}) {
+    const { type, ...objectOptions } = options;
+    super({
+      width: 120,
+      height: 60,
+      ...objectOptions,
+      ...DOT_OBJECT_OPTIONS,
+    });
+    for (const key of SHAPE_PROPERTIES) {
+      this[key] = options[key] ?? SHAPE_DEFAULTS[key];
+    }
+    this.lineWidth = normalizeLineWidth(this.lineWidth, this.shapeKind);
+    this.raster = null;
+    this.rasterKey = null;
+  }
+
+  // Apply new settings. A horizontal or vertical line keeps its thickness
+  // equal to the stroke.
+  setShape(changes) {
+    const oldWidth = this.lineWidth;
+    for (const key of SHAPE_PROPERTIES) {
+      if (key in changes) this[key] = changes[key];
+    }
+    this.lineWidth = normalizeLineWidth(this.lineWidth, this.shapeKind);
+    if (this.shapeKind === "line") {
+      if (this.height <= oldWidth) this.height = this.lineWidth;
+      else if (this.width <= oldWidth) this.width = this.lineWidth;
+    }
+    if ("width" in changes || "height" in changes) {
+      this.set({
+        width: Math.max(1, Math.round(changes.width ?? this.width)),
+        height: Math.max(1, Math.round(changes.height ?? this.height)),
+      });
+    }
+    this.setCoords();
+    return this;
+  }
+
+  // Turn a finished scale into a whole-dot size at a whole-dot position
+  fitToDots() {
+    if (this.group) return;
+    if (this.scaleX !== 1 || this.scaleY !== 1) {
+      this.set({
+        width: Math.max(1, Math.round(this.width * this.scaleX)),
+        height: Math.max(1, Math.round(this.height * this.scaleY)),
+        scaleX: 1,
+        scaleY: 1,
+      });
+    }
+    snapToDots(this);
+  }
+
+  getRaster() {
+    const width = Math.max(1, Math.round(this.width));
+    const height = Math.max(1, Math.round(this.height));
+    const key = [width, height, ...SHAPE_PROPERTIES.map((k) => this[k])].join();
+    if (key !== this.rasterKey) {
+      this.raster = renderShapeElement(this, width, height);
+      this.rasterKey = key;
+    }
+    return this.raster;
+  }
+
+  _render(ctx) {
+    ctx.imageSmoothingEnabled = false;
+    ctx.drawImage(
+      this.getRaster(),
+      -this.width / 2,
+      -this.height / 2,
+      this.width,
+      this.height,
+    );
+  }
+
+  toObject(propertiesToInclude = []) {
+    const object = super.toObject(propertiesToInclude);
+    for (const key of SHAPE_PROPERTIES) {
+      object[key] = this[key];
+    }
+    return object;
+  }
+
+  static async fromObject(object) {
+    return new LabelShape(object);
+  }
+}
+
+// A grid of text cells. Its size comes from the column widths and row
+// heights, so scaling is locked like a barcode's and the properties panel
+// sizes rows and columns.
+class LabelTable extends fabric.FabricObject {
+  static type = "LabelTable";
+
+  constructor(options = {}) {
+    const { type, ...objectOptions } = options;
+    super({
+      ...objectOptions,
+      ...DOT_OBJECT_OPTIONS,
+      scaleX: 1,
+      scaleY: 1,
+      lockScalingX: true,
+      lockScalingY: true,
+    });
+    for (const key of TABLE_PROPERTIES) {
+      this[key] = structuredClone(options[key] ?? TABLE_DEFAULTS[key]);
+    }
+    this.setControlsVisibility({
+      tl: false,
+      tr: false,
+      bl: false,
+      br: false,
+      ml: false,
+      mt: false,
+      mr: false,
+      mb: false,
+    });
+    this.setTable({});
+  }
+
+  // Apply new settings and resize to the grid. Cells follow the row and
+  // column counts.
+  setTable(changes) {
+    for (const key of TABLE_PROPERTIES) {
+      if (key in changes) this[key] = structuredClone(changes[key]);
+    }
+    this.borderWidth = normalizeLineWidth(this.borderWidth);
+    const minimum = this.borderWidth + 2;
+    this.columns = this.columns.map((w) => Math.max(minimum, Math.round(w)));
+    this.rows = this.rows.map((h) => Math.max(minimum, Math.round(h)));
+    this.cells = reshapeCells(
+      this.cells,
+      this.rows.length,
+      this.columns.length,
+    );
+
+    const { width, height } = tableLayout(this);
+    this.set({ width, height });
+    this.setCoords();
+    return this;
+  }
+
+  // A table only scales along with a multi-selection; that scale goes into
+  // the column widths and row heights
+  fitToDots() {
+    if (this.group) return;
+    if (this.scaleX !== 1 || this.scaleY !== 1) {
+      const columns = this.columns.map((width) => width * this.scaleX);
+      const rows = this.rows.map((height) => height * this.scaleY);
+      this.set({ scaleX: 1, scaleY: 1 });
+      this.setTable({ columns, rows });
+    }
+    snapToDots(this);
+  }
+
+  _render(ctx) {
+    const layout = tableLayout(this);
+    const border = this.borderWidth;
+    ctx.save();
+    ctx.translate(-this.width / 2, -this.height / 2);
+
+    // Grid lines as filled whole-dot rectangles, never half-covered
+    ctx.fillStyle = "#000000";
+    if (border > 0) {
+      for (const x of layout.columnLines) {
+        ctx.fillRect(x, 0, border, layout.height);
+      }
+      for (const y of layout.rowLines) {
+        ctx.fillRect(0, y, layout.width, border);
+      }
+    }
+
+    ctx.font = `${this.fontSize}px ${this.fontFamily}`;
+    ctx.textBaseline = "middle";
+    ctx.textAlign = this.textAlign;
+    const lineHeight = this.fontSize * 1.16;
+    layout.cells.forEach((row, r) =>
+      row.forEach((cell, c) => {
+        const text = this.cells[r][c];
+        if (!text) return;
+        const inner = cell.width - this.cellPadding * 2;
+        const lines = wrapText(text, inner, (t) => ctx.measureText(t).width);
+        const x =
+          this.textAlign === "center"
+            ? cell.x + cell.width / 2
+            : this.textAlign === "right"
+              ? cell.x + cell.width - this.cellPadding
+              : cell.x + this.cellPadding;
+        const top =
+          cell.y + cell.height / 2 - ((lines.length - 1) * lineHeight) / 2;
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(cell.x, cell.y, cell.width, cell.height);
+        ctx.clip();
+        lines.forEach((line, i) => ctx.fillText(line, x, top + i * lineHeight));
+        ctx.restore();
+      }),
+    );
+    ctx.restore();
+  }
+
+  toObject(propertiesToInclude = []) {
+    const object = super.toObject(propertiesToInclude);
+    for (const key of TABLE_PROPERTIES) {
+      object[key] = structuredClone(this[key]);
+    }
+    return object;
+  }
+
+  static async fromObject(object) {
+    return new LabelTable(object);
+  }
+}
+
+// Settle a modified object on whole dots. Objects in a multi-selection are
+// scaled with it, so they're taken out of the selection to turn that scale
+// into whole-dot sizes, then selected again.
+function fitObjectsToDots(canvas, target) {
+  if (!(target instanceof fabric.ActiveSelection)) {
+    target?.fitToDots?.();
+    return;
+  }
+  const objects = target.getObjects();
+  if (!objects.some((object) => object.fitToDots)) return;
+
+  canvas.discardActiveObject();
+  objects.forEach((object) => object.fitToDots?.());
+  canvas.setActiveObject(new fabric.ActiveSelection(objects, { canvas }));
+}
+
+fabric.classRegistry.setClass(LabelShape);
+fabric.classRegistry.setClass(LabelTable);
+
+export {
+  LabelShape,
+  LabelTable,
+  SHAPE_DEFAULTS,
+  TABLE_DEFAULTS,
+  fitObjectsToDots,
+};
@@ -0,0 +1,102 @@
+import { describe, expect, it } from "vitest";
+import { LabelShape, LabelTable } from "./shapeObjects.js";
+
+describe("shape objects", () => {
+  it("round-trips shape settings through the design JSON", async () => {
+    const shape = new LabelShape({
+      left: 10,
+      top: 20,
+      width: 80,
+      height: 40,
+      shapeKind: "rect",
+      lineWidth: 3,
+      fillColor: "black",
+      lineColor: "white",
+      cornerRadius: 6,
+    });
+
+    const json = shape.toObject();
+    expect(json.type).toBe("LabelShape");
+
+    const loaded = await LabelShape.fromObject(json);
+    expect(loaded).toBeInstanceOf(LabelShape);
+    expect(loaded).toMatchObject({
+      left: 10,
+      top: 20,
+      width: 80,
+      height: 40,
+      lineWidth: 3,
+      fillColor: "black",
+      lineColor: "white",
+      cornerRadius: 6,
+      strokeWidth: 0,
+    });
+  });
+
+  it("keeps a straight line as thick as its stroke", () => {
+    const horizontal = new LabelShape({
+      shapeKind: "line",
+      width: 160,
+      height: 2,
+      lineWidth: 2,
+    });
+    horizontal.setShape({ lineWidth: 4 });
+    expect([horizontal.width, horizontal.height]).toEqual([160, 4]);
+
+    const vertical = new LabelShape({
+      shapeKind: "line",
+      width: 1,
+      height: 90,
+      lineWidth: 0,
+    });
+    expect(vertical.lineWidth).toBe(1);
+    vertical.setShape({ lineWidth: 3 });
+    expect([vertical.width, vertical.height]).toEqual([3, 90]);
+  });
+
+  it("turns a finished scale into whole-dot sizes", () => {
+    const shape = new LabelShape({ width: 100, height: 50, left: 0.4 });
+    shape.set({ scaleX: 1.505, scaleY: 0.5 });
+    shape.fitToDots();
+
+    expect(shape).toMatchObject({ width: 151, height: 25, scaleX: 1 });
+    expect(shape.left).toBeCloseTo(0);
+
+    const table = new LabelTable({ columns: [60, 40], rows: [30] });
+    table.set({ scaleX: 2, scaleY: 2 });
+    table.fitToDots();
+
+    expect(table).toMatchObject({
+      columns: [120, 80],
+      rows: [60],
+      width: 202,
+      scaleX: 1,
+    });
+  });
+
+  it("round-trips table cells, rows and columns", async () => {
+    const table = new LabelTable({
+      columns: [60, 40],
+      rows: [30, 30],
+      cells: [
+        ["SKU", "{{sku}}"],
+        ["Box", "{{counter:box}}"],
+      ],
+      borderWidth: 1,
+    });
+
+    const loaded = await LabelTable.fromObject(table.toObject());
+    expect(loaded).toMatchObject({
+      columns: [60, 40],
+      rows: [30, 30],
+      cells: table.cells,
+      borderWidth: 1,
+      width: 101,
+      height: 61,
+      lockScalingX: true,
+    });
+    // Loaded cells are a copy, not shared with the original
+    loaded.cells[0][0] = "Item";
+    expect(table.cells[0][0]).toBe("SKU");
+  });
+});
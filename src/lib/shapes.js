@@ -0,0 +1,141 @@
+// shapes.js - Geometry for label shapes, lines and tables
+//
+// Everything is in printer dots (one canvas pixel per dot). Shapes are drawn
+// one colour per layer and hardened so every dot is either fully inked or
+// left clear: a 1-dot hairline can't fade into grey that the 1-bit
+// conversion would drop.
+
+const SHAPE_KINDS = {
+  rect: { name: "Rectangle" },
+  ellipse: { name: "Circle / ellipse" },
+  line: { name: "Line" },
+};
+
+// Fill and stroke colours a thermal label can show
+const SHAPE_COLORS = {
+  none: { name: "None", css: null },
+  black: { name: "Black", css: "#000000" },
+  white: { name: "White", css: "#ffffff" },
+};
+
+// Layers are partly covered at curves and diagonals. Any dot covered by at
+// least `minAlpha` (a quarter by default) is inked, the rest cleared, so
+// hairlines stay connected.
+function hardenAlpha(data, minAlpha = 64) {
+  for (let i = 3; i < data.length; i += 4) {
+    data[i] = data[i] >= minAlpha ? 255 : 0;
+  }
+  return data;
+}
+
+// Stroke widths are whole dots. Lines need at least one; other shapes can
+// have none.
+function normalizeLineWidth(width, kind = "rect") {
+  const dots = Math.max(0, Math.round(Number(width) || 0));
+  return kind === "line" ? Math.max(1, dots) : dots;
+}
+
+// End points of a line drawn inside a width x height box. A box no thicker
+// than the stroke holds a horizontal or vertical line; otherwise the line
+// runs corner to corner, "down" from top-left or "up" from bottom-left.
+function lineEndpoints(width, height, lineWidth, direction = "down") {
+  if (height <= lineWidth) {
+    return [
+      [0, height / 2],
+      [width, height / 2],
+    ];
+  }
+  if (width <= lineWidth) {
+    return [
+      [width / 2, 0],
+      [width / 2, height],
+    ];
+  }
+  const inset = lineWidth / 2;
+  return direction === "up"
+    ? [
+        [inset, height - inset],
+        [width - inset, inset],
+      ]
+    : [
+        [inset, inset],
+        [width - inset, height - inset],
+      ];
+}
+
+// Grid of a table. Column widths and row heights are pitches that include
+// one grid line; a final line closes the right and bottom edges.
+function tableLayout({ columns, rows, borderWidth }) {
+  const offsets = (sizes) => {
+    const result = [0];
+    for (const size of sizes) result.push(result[result.length - 1] + size);
+    return result;
+  };
+  const xs = offsets(columns);
+  const ys = offsets(rows);
+
+  return {
+    width: xs[xs.length - 1] + borderWidth,
+    height: ys[ys.length - 1] + borderWidth,
+    // Left or top edge of each grid line
+    columnLines: xs,
+    rowLines: ys,
+    cells: rows.map((rowHeight, r) =>
+      columns.map((columnWidth, c) => ({
+        x: xs[c] + borderWidth,
+        y: ys[r] + borderWidth,
+        width: Math.max(0, columnWidth - borderWidth),
+        height: Math.max(0, rowHeight - borderWidth),
+      })),
+    ),
+  };
+}
+
+// Grow a list of column widths or row heights by repeating the last one, or
+// drop sizes from the end
+function resizeTrack(sizes, count) {
+  const result = sizes.slice(0, count);
+  while (result.length < count) {
+    result.push(result[result.length - 1] ?? 40);
+  }
+  return result;
+}
+
+// Keep cell text where it was when rows or columns are added or removed
+function reshapeCells(cells, rowCount, columnCount) {
+  return Array.from({ length: rowCount }, (_, r) =>
+    Array.from({ length: columnCount }, (_, c) => String(cells[r]?.[c] ?? "")),
+  );
+}
+
+// Break text into lines no wider than maxWidth. `measure` returns the width
+// of a string; words longer than a line are left whole.
+function wrapText(text, maxWidth, measure) {
+  const lines = [];
+  for (const paragraph of String(text).split("\n")) {
+    let line = "";
+    for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (line && measure(candidate) > maxWidth) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = candidate;
+      }
+    }
+    lines.push(line);
+  }
+  return lines;
+}
+
+export {
+  SHAPE_KINDS,
+  SHAPE_COLORS,
+  hardenAlpha,
+  normalizeLineWidth,
+  lineEndpoints,
+  tableLayout,
+  resizeTrack,
+  reshapeCells,
+  wrapText,
+};
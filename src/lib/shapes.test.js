@@ -0,0 +1,86 @@
+import { describe, expect, it } from "vitest";
+import {
+  hardenAlpha,
+  lineEndpoints,
+  normalizeLineWidth,
+  reshapeCells,
+  resizeTrack,
+  tableLayout,
+  wrapText,
+} from "./shapes.js";
+
+describe("shapes", () => {
+  it("inks partly covered dots so hairlines survive 1-bit conversion", () => {
+    const data = new Uint8ClampedArray([
+      0, 0, 0, 200, 0, 0, 0, 70, 0, 0, 0, 40, 0, 0, 0, 0,
+    ]);
+
+    expect(Array.from(hardenAlpha(data).filter((_, i) => i % 4 === 3))).toEqual(
+      [255, 255, 0, 0],
+    );
+  });
+
+  it("keeps strokes to whole dots", () => {
+    expect(normalizeLineWidth(0.4)).toBe(0);
+    expect(normalizeLineWidth(0.4, "line")).toBe(1);
+    expect(normalizeLineWidth("2.6")).toBe(3);
+  });
+
+  it("places lines inside their box", () => {
+    expect(lineEndpoints(100, 2, 2)).toEqual([
+      [0, 1],
+      [100, 1],
+    ]);
+    expect(lineEndpoints(1, 50, 1)).toEqual([
+      [0.5, 0],
+      [0.5, 50],
+    ]);
+    expect(lineEndpoints(40, 20, 2, "up")).toEqual([
+      [1, 19],
+      [39, 1],
+    ]);
+  });
+
+  it("lays out table grids on whole dots", () => {
+    const layout = tableLayout({
+      columns: [60, 40],
+      rows: [30, 30, 30],
+      borderWidth: 2,
+    });
+
+    expect([layout.width, layout.height]).toEqual([102, 92]);
+    expect(layout.columnLines).toEqual([0, 60, 100]);
+    expect(layout.cells[1][1]).toEqual({ x: 62, y: 32, width: 38, height: 28 });
+  });
+
+  it("resizes rows and columns without losing cell text", () => {
+    expect(resizeTrack([60, 40], 4)).toEqual([60, 40, 40, 40]);
+    expect(resizeTrack([60, 40], 1)).toEqual([60]);
+    expect(
+      reshapeCells(
+        [
+          ["SKU", "Qty"],
+          ["A1", "3"],
+        ],
+        3,
+        1,
+      ),
+    ).toEqual([["SKU"], ["A1"], [""]]);
+  });
+
+  it("wraps cell text to the cell width", () => {
+    const measure = (text) => text.length * 10;
+
+    expect(wrapText("Ship to front desk", 100, measure)).toEqual([
+      "Ship to",
+      "front desk",
+    ]);
+    expect(wrapText("Line one\nTwo", 200, measure)).toEqual([
+      "Line one",
+      "Two",
+    ]);
+    expect(wrapText("Supercalifragilistic", 50, measure)).toEqual([
+      "Supercalifragilistic",
+    ]);
+  });
+});
@@ -0,0 +1,205 @@
+// templateLibrary.js - Named label templates stored in IndexedDB
+
+import { idbDelete, idbGet, idbGetAll, idbPut } from "./idb.js";
+import { migrateProject } from "./projectFile.js";
+
+const LIBRARY_FORMAT = "niimbot-web-library";
+const LIBRARY_VERSION = 1;
+const LIBRARY_EXTENSION = ".niimbot-library.json";
+const STORE = "templates";
+
+function newId() {
+  return crypto.randomUUID();
+}
+
+// "shipping, Food ,shipping" -> ["food", "shipping"]
+function parseTags(input) {
+  const list = Array.isArray(input) ? input : String(input ?? "").split(",");
+  const tags = list.map((tag) => String(tag).trim().toLowerCase());
+  return Array.from(new Set(tags.filter(Boolean))).sort();
+}
+
+function createTemplate({ name, tags, project, thumbnail = null }) {
+  const trimmed = String(name ?? "").trim();
+  if (!trimmed) {
+    throw new Error("Template name is required");
+  }
+
+  const now = new Date().toISOString();
+  return {
+    id: newId(),
+    name: trimmed,
+    tags: parseTags(tags),
+    thumbnail,
+    project,
+    createdAt: now,
+    updatedAt: now,
+  };
+}
+
+// Match every word of the query against the name or a tag. A leading "#"
+// restricts that word to tags.
+function filterTemplates(templates, query = "") {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  const sorted = [...templates].sort((a, b) =>
+    a.name.localeCompare(b.name, undefined, { sensitivity: "base" }),
+  );
+  if (words.length === 0) return sorted;
+
+  return sorted.filter((template) =>
+    words.every((word) => {
+      if (word.startsWith("#")) {
+        return template.tags.includes(word.slice(1));
+      }
+      return (
+        template.name.toLowerCase().includes(word) ||
+        template.tags.some((tag) => tag.includes(word))
+      );
+    }),
+  );
+}
+
+function listTags(templates) {
+  return parseTags(templates.flatMap((template) => template.tags));
+}
+
+async function listTemplates() {
+  return idbGetAll(STORE);
+}
+
+async function saveTemplate(template) {
+  await idbPut(STORE, template.id, template);
+  return template;
+}
+
+async function updateTemplate(id, changes) {
+  const template = await idbGet(STORE, id);
+  if (!template) {
+    throw new Error("Template not found");
+  }
+
+  const updated = {
+    ...template,
+    ...changes,
+    updatedAt: new Date().toISOString(),
+  };
+  if ("name" in changes) {
+    updated.name = String(changes.name ?? "").trim();
+    if (!updated.name) throw new Error("Template name is required");
+  }
+  if ("tags" in changes) {
+    updated.tags = parseTags(changes.tags);
+  }
+  return saveTemplate(updated);
+}
+
+async function renameTemplate(id, name) {
+  return updateTemplate(id, { name });
+}
+
+async function duplicateTemplate(id) {
+  const template = await idbGet(STORE, id);
+  if (!template) {
+    throw new Error("Template not found");
+  }
+
+  return saveTemplate({
+    ...createTemplate({ ...template, name: `${template.name} (copy)` }),
+    project: structuredClone(template.project),
+  });
+}
+
+async function deleteTemplate(id) {
+  await idbDelete(STORE, id);
+}
+
+function exportLibrary(templates) {
+  return JSON.stringify(
+    {
+      format: LIBRARY_FORMAT,
+      version: LIBRARY_VERSION,
+      exportedAt: new Date().toISOString(),
+      templates,
+    },
+    null,
+    2,
+  );
+}
+
+// Validate a library file. Each template's project goes through the same
+// migration as a standalone project file.
+function parseLibrary(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Library file is not valid JSON: ${error.message}`);
+  }
+
+  if (data?.format !== LIBRARY_FORMAT || !Array.isArray(data.templates)) {
+    throw new Error("Not a Niimbot template library file");
+  }
+  if (data.version > LIBRARY_VERSION) {
+    throw new Error(
+      `Library file version ${data.version} is newer than this app supports (${LIBRARY_VERSION})`,
+    );
+  }
+
+  return data.templates.map((template, index) => {
+    try {
+      return {
+        ...createTemplate(template),
+        id: typeof template.id === "string" ? template.id : newId(),
+        project: migrateProject(template.project),
+        createdAt: template.createdAt ?? new Date().toISOString(),
+        updatedAt: template.updatedAt ?? new Date().toISOString(),
+      };
+    } catch (error) {
+      throw new Error(`Template ${index + 1}: ${error.message}`);
+    }
+  });
+}
+
+// Imported templates keep their id so re-importing the same library updates
+// rather than duplicates; newer local edits win.
+async function importLibrary(text) {
+  const incoming = parseLibrary(text);
+  const existing = new Map(
+    (await listTemplates()).map((template) => [template.id, template]),
+  );
+  let added = 0;
+  let updated = 0;
+  let skipped = 0;
+
+  for (const template of incoming) {
+    const current = existing.get(template.id);
+    if (!current) {
+      added++;
+    } else if (current.updatedAt < template.updatedAt) {
+      updated++;
+    } else {
+      skipped++;
+      continue;
+    }
+    await saveTemplate(template);
+  }
+
+  return { added, updated, skipped };
+}
+
+export {
+  LIBRARY_EXTENSION,
+  parseTags,
+  createTemplate,
+  filterTemplates,
+  listTags,
+  listTemplates,
+  saveTemplate,
+  updateTemplate,
+  renameTemplate,
+  duplicateTemplate,
+  deleteTemplate,
+  exportLibrary,
+  parseLibrary,
+  importLibrary,
+};
@@ -0,0 +1,78 @@
+import { describe, expect, it } from "vitest";
+import {
+  createTemplate,
+  exportLibrary,
+  filterTemplates,
+  listTags,
+  parseLibrary,
+  parseTags,
+} from "./templateLibrary.js";
+import { createProject } from "./projectFile.js";
+
+const project = createProject({ canvas: { objects: [] } });
+
+const templates = [
+  createTemplate({
+    name: "Shipping 40x30",
+    tags: "shipping, warehouse",
+    project,
+  }),
+  createTemplate({ name: "Jar lid", tags: ["Kitchen", "round"], project }),
+  createTemplate({ name: "bin label", tags: "warehouse", project }),
+];
+
+describe("template library", () => {
+  it("normalises tags", () => {
+    expect(parseTags(" Food, shipping ,,food")).toEqual(["food", "shipping"]);
+    expect(parseTags(undefined)).toEqual([]);
+    expect(listTags(templates)).toEqual([
+      "kitchen",
+      "round",
+      "shipping",
+      "warehouse",
+    ]);
+  });
+
+  it("requires a name", () => {
+    expect(() => createTemplate({ name: "  ", project })).toThrow(
+      /name is required/,
+    );
+  });
+
+  it("filters by name and tag and sorts by name", () => {
+    expect(filterTemplates(templates).map((t) => t.name)).toEqual([
+      "bin label",
+      "Jar lid",
+      "Shipping 40x30",
+    ]);
+    expect(filterTemplates(templates, "ware").map((t) => t.name)).toEqual([
+      "bin label",
+      "Shipping 40x30",
+    ]);
+    expect(filterTemplates(templates, "#round").map((t) => t.name)).toEqual([
+      "Jar lid",
+    ]);
+    expect(filterTemplates(templates, "label #warehouse")).toHaveLength(1);
+    expect(filterTemplates(templates, "#ware")).toEqual([]);
+  });
+
+  it("round-trips an exported library", () => {
+    const loaded = parseLibrary(exportLibrary(templates));
+
+    expect(loaded.map((t) => t.id)).toEqual(templates.map((t) => t.id));
+    expect(loaded[1].tags).toEqual(["kitchen", "round"]);
+    expect(loaded[0].project.label).toEqual(project.label);
+  });
+
+  it("rejects malformed libraries with the failing template", () => {
+    expect(() => parseLibrary('{"templates":[]}')).toThrow(
+      /Not a Niimbot template library/,
+    );
+
+    const broken = JSON.parse(exportLibrary(templates));
+    broken.templates[1].project = { hello: true };
+    expect(() => parseLibrary(JSON.stringify(broken))).toThrow(
+      /Template 2: Not a Niimbot project/,
+    );
+  });
+});